@@ -11,7 +11,8 @@
 //   on Node ≤ 17 (handled inside BundleCodec).
 //
 // ATLAS:
-//   Per-font, unchanged: read QOI base64 wrapper, decode, paint into a canvas.
+//   Per-font, unchanged: read QOI base64 wrapper, decode, paint into a canvas
+//   (or keep the decoded RGBA pixels when no canvas factory is configured).
 
 class FontLoader extends FontLoaderBase {
 
@@ -120,17 +121,25 @@ class FontLoader extends FontLoaderBase {
         const qoiData = Uint8Array.from(atob(pkg.base64Data), c => c.charCodeAt(0));
         const decoded = QOIDecode(qoiData.buffer);
 
-        // Create canvas and draw (explicit double invocation: get factory, call factory)
-        const canvas = bitmapTextClass.getCanvasFactory()();
-        canvas.width = decoded.width;
-        canvas.height = decoded.height;
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.createImageData(decoded.width, decoded.height);
-        imageData.data.set(decoded.data);
-        ctx.putImageData(imageData, 0, 0);
-
-        // Wrap the canvas + look up positioning from the per-density bundle.
-        await FontLoaderBase._loadAtlasFromPackage(idString, canvas, bitmapTextClass);
+        // Create canvas and draw (explicit double invocation: get factory, call factory).
+        // Without a canvas factory keep the decoded pixels as a plain {width, height, data}
+        // image: enough for BitmapText.drawTextToImageData / layoutText.
+        const canvasFactory = bitmapTextClass.getCanvasFactory();
+        let atlasImage;
+        if (canvasFactory) {
+          atlasImage = canvasFactory();
+          atlasImage.width = decoded.width;
+          atlasImage.height = decoded.height;
+          const ctx = atlasImage.getContext('2d');
+          const imageData = ctx.createImageData(decoded.width, decoded.height);
+          imageData.data.set(decoded.data);
+          ctx.putImageData(imageData, 0, 0);
+        } else {
+          atlasImage = { width: decoded.width, height: decoded.height, data: new Uint8ClampedArray(decoded.data) };
+        }
+
+        // Wrap the image + look up positioning from the per-density bundle.
+        await FontLoaderBase._loadAtlasFromPackage(idString, atlasImage, bitmapTextClass);
       }
     } catch (error) {
       console.warn(`Atlas loading error for ${atlasPath}: ${error.message}`);
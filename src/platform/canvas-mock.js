@@ -17,13 +17,20 @@
 //
 // SUPPORTED CANVAS API SUBSET:
 // - Canvas: width, height properties, getContext('2d')
-// - Context2D: fillStyle, globalCompositeOperation, fillRect, clearRect,
+// - Context2D: fillStyle, globalAlpha, globalCompositeOperation, fillRect, clearRect,
 //   drawImage, createImageData, putImageData, getImageData
 // - Image: width, height, data properties
 //
 // LIMITATIONS COMPARED TO REAL CANVAS:
 // - No anti-aliasing or bilinear filtering (nearest-neighbor only)
-// - Limited color format support (hex colors and named 'black'/'white')
+// - Limited color format support (hex colors with optional alpha, rgb()/rgba(),
+//   named 'black'/'white'/'transparent')
+// - Alpha compositing uses straight (non-premultiplied) alpha, like BitmapText's
+//   drawTextToImageData, so both Node paths produce the same pixels
+//   (drawImage and 'source-over' fillRect used to overwrite destination pixels;
+//   they now blend, so Node output with antialiased or translucent pixels over
+//   existing ones differs from earlier versions. The browser reference hashes in
+//   test/data/reference-hashes.js are rendered in WebKit, not with this mock.)
 // - No text rendering (fillText is stub)
 // - No path operations (moveTo, lineTo, stroke, etc.)
 // - No gradients or patterns
@@ -109,6 +116,7 @@ class Context2D {
     this.fillStyle = '#000000';
     this.strokeStyle = '#000000';
     this.lineWidth = 1;
+    this.globalAlpha = 1;
     this.globalCompositeOperation = 'source-over';
 
     // Transform stack for save/restore (minimal implementation)
@@ -123,12 +131,13 @@ class Context2D {
    * Save current context state
    *
    * In full Canvas API, this saves transform, fill style, etc.
-   * For canvas-mock, we only save fillStyle and globalCompositeOperation
+   * For canvas-mock, we only save fillStyle, globalAlpha and globalCompositeOperation
    * since we don't actually use transforms for drawing.
    */
   save() {
     this._stateStack.push({
       fillStyle: this.fillStyle,
+      globalAlpha: this.globalAlpha,
       globalCompositeOperation: this.globalCompositeOperation
     });
   }
@@ -142,6 +151,7 @@ class Context2D {
     if (this._stateStack.length > 0) {
       const state = this._stateStack.pop();
       this.fillStyle = state.fillStyle;
+      this.globalAlpha = state.globalAlpha;
       this.globalCompositeOperation = state.globalCompositeOperation;
     }
   }
@@ -194,9 +204,10 @@ class Context2D {
    * Fill a rectangular area with the current fillStyle
    *
    * Supports two composite operations:
-   * - 'source-over': Normal fill (replaces pixels with fillStyle)
-   * - 'source-in': Preserve alpha channel, only change RGB channels
-   *                (used for colorizing glyph masks)
+   * - 'source-over': Normal fill (blends fillStyle over the pixels, with its alpha
+   *                  times globalAlpha)
+   * - 'source-in': Preserve the glyph shape, only change RGB channels (alpha is
+   *                multiplied by the fillStyle alpha; used for colorizing glyph masks)
    *
    * @param {number} x - X coordinate of rectangle top-left corner
    * @param {number} y - Y coordinate of rectangle top-left corner
@@ -208,7 +219,7 @@ class Context2D {
 
     const data = this.canvas.data;
     const canvasWidth = this.canvas.width;
-    const [r, g, b] = this._parseColor(this.fillStyle);
+    const [r, g, b, a] = this._parseColor(this.fillStyle);
 
     // Canvas coordinates must be integers (callers should round before calling)
     // Clamp to canvas bounds
@@ -229,14 +240,12 @@ class Context2D {
             data[i] = r;
             data[i+1] = g;
             data[i+2] = b;
-            // Keep existing alpha value (don't modify data[i+3])
+            // Keep existing alpha value, scaled by a translucent fill color
+            if (a < 1) data[i+3] = Math.round(data[i+3] * a);
           }
         } else {
           // 'source-over': Normal fill operation (default)
-          data[i] = r;
-          data[i+1] = g;
-          data[i+2] = b;
-          data[i+3] = 255;
+          this._blendPixel(data, i, r, g, b, a * this.globalAlpha);
         }
       }
     }
@@ -342,6 +351,7 @@ class Context2D {
    * 3. drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh) - Draw clipped source region
    *
    * Uses nearest-neighbor sampling for scaling (no bilinear filtering).
+   * Pixels are composited 'source-over' with their alpha times globalAlpha.
    * This is faster but produces pixelated results when scaling.
    * Sufficient for bitmap font rendering where glyphs are drawn at original size.
    *
@@ -397,11 +407,9 @@ class Context2D {
           const srcI = (srcY * srcWidth + srcX) * 4;
           const destI = (destY * destWidth + destX) * 4;
           
-          if (srcData[srcI + 3] > 0) {  // Only copy non-transparent pixels
-            destData[destI] = srcData[srcI];     // R
-            destData[destI + 1] = srcData[srcI + 1]; // G
-            destData[destI + 2] = srcData[srcI + 2]; // B
-            destData[destI + 3] = srcData[srcI + 3]; // A
+          if (srcData[srcI + 3] > 0) {  // Skip transparent pixels
+            this._blendPixel(destData, destI, srcData[srcI], srcData[srcI + 1], srcData[srcI + 2],
+              srcData[srcI + 3] / 255 * this.globalAlpha);
           }
         }
       }
@@ -514,45 +522,94 @@ class Context2D {
     };
   }
 
+  /**
+   * Composite one pixel 'source-over' with straight (non-premultiplied) alpha
+   *
+   * Same formula as BitmapText's drawTextToImageData, so canvas-mock output and
+   * ImageData output stay pixel-identical.
+   *
+   * @private
+   * @param {Uint8ClampedArray} data - Destination RGBA buffer
+   * @param {number} i - Index of the pixel's red byte
+   * @param {number} r - Source red (0-255)
+   * @param {number} g - Source green (0-255)
+   * @param {number} b - Source blue (0-255)
+   * @param {number} alpha - Source alpha (0-1, already multiplied by globalAlpha)
+   */
+  _blendPixel(data, i, r, g, b, alpha) {
+    if (alpha <= 0) return;
+    if (alpha >= 1) {
+      data[i] = r;
+      data[i+1] = g;
+      data[i+2] = b;
+      data[i+3] = 255;
+      return;
+    }
+
+    const dstA = data[i+3] / 255;
+    const outA = alpha + dstA * (1 - alpha);
+    data[i] = (r * alpha + data[i] * dstA * (1 - alpha)) / outA;
+    data[i+1] = (g * alpha + data[i+1] * dstA * (1 - alpha)) / outA;
+    data[i+2] = (b * alpha + data[i+2] * dstA * (1 - alpha)) / outA;
+    data[i+3] = outA * 255;
+  }
+
   // ============================================
   // Color Parsing Utilities
   // ============================================
 
   /**
-   * Parse color string to RGB values
+   * Parse color string to RGBA values
    *
    * Supports limited color format subset:
-   * - Named colors: 'white', 'black'
-   * - Hex colors: '#RRGGBB' (6-digit hex)
+   * - Named colors: 'white', 'black', 'transparent'
+   * - Hex colors: '#RGB', '#RGBA', '#RRGGBB', '#RRGGBBAA'
+   * - rgb(r, g, b) / rgba(r, g, b, a), also space-separated with '/ a'
+   *   (alpha as a number or a percentage)
    * - Unsupported formats default to black
    *
+   * These are exactly the formats BitmapText parses itself for drawTextToImageData
+   * and gradient / per-character fills, so every Node path paints the same colors.
+   *
    * Does not support:
-   * - Short hex (#RGB)
-   * - rgba() or rgb() functions
    * - hsl() colors
    * - Other named colors
+   * - Percentage RGB channels
    *
    * @private
    * @param {string} color - Color string to parse
-   * @returns {number[]} RGB values as [r, g, b] array (0-255 range)
+   * @returns {number[]} RGBA values as [r, g, b, a] array (r, g, b 0-255, a 0-1)
    */
   _parseColor(color) {
-    if (color === 'white') return [255, 255, 255];
-    if (color === 'black' || color === '#000000') return [0, 0, 0];
-
-    // Simple hex parsing
-    if (color.startsWith('#')) {
-      const hex = color.slice(1);
-      if (hex.length === 6) {
-        return [
-          parseInt(hex.slice(0, 2), 16),
-          parseInt(hex.slice(2, 4), 16),
-          parseInt(hex.slice(4, 6), 16)
-        ];
-      }
+    if (color === 'white') return [255, 255, 255, 1];
+    if (color === 'black' || color === '#000000') return [0, 0, 0, 1];
+    if (color === 'transparent') return [0, 0, 0, 0];
+
+    // Hex parsing: 3/4 digits are shorthand for 6/8
+    let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color);
+    if (match) {
+      let hex = match[1];
+      if (hex.length <= 4) hex = hex.replace(/./g, digit => digit + digit);
+      return [
+        parseInt(hex.slice(0, 2), 16),
+        parseInt(hex.slice(2, 4), 16),
+        parseInt(hex.slice(4, 6), 16),
+        hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+      ];
+    }
+
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*([\d.]+)(%?)\s*)?\)$/i.exec(color);
+    if (match) {
+      const alpha = match[4] === undefined ? 1 : parseFloat(match[4]) / (match[5] ? 100 : 1);
+      return [
+        Math.min(255, Math.round(parseFloat(match[1]))),
+        Math.min(255, Math.round(parseFloat(match[2]))),
+        Math.min(255, Math.round(parseFloat(match[3]))),
+        Math.min(1, alpha)
+      ];
     }
 
-    return [0, 0, 0]; // Default to black
+    return [0, 0, 0, 1]; // Default to black
   }
 }
 
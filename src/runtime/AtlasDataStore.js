@@ -27,6 +27,9 @@ class AtlasDataStore {
   // Private static storage
   // Keys are FontProperties.key strings for O(1) lookup
   static #atlases = new Map(); // fontProperties.key → AtlasData
+  // Bumped whenever atlases are set or removed; lets caches of rendered text notice
+  // (see FontMetricsStore.getVersion)
+  static #version = 0;
 
   static getAtlasData(fontProperties) {
     return AtlasDataStore.#atlases.get(fontProperties.key);
@@ -38,6 +41,7 @@ class AtlasDataStore {
       throw new Error('AtlasDataStore.setAtlasData requires AtlasData instance (not raw images)');
     }
     AtlasDataStore.#atlases.set(fontProperties.key, atlasData);
+    AtlasDataStore.#version++;
   }
 
   // Helper method to check if an atlas is valid for rendering
@@ -61,12 +65,19 @@ class AtlasDataStore {
 
   // Remove atlas for font properties
   static deleteAtlas(fontProperties) {
+    AtlasDataStore.#version++;
     return AtlasDataStore.#atlases.delete(fontProperties.key);
   }
 
   // Clear all atlases
   static clear() {
     AtlasDataStore.#atlases.clear();
+    AtlasDataStore.#version++;
+  }
+
+  // Changes whenever atlases are set or removed (only grows)
+  static getVersion() {
+    return AtlasDataStore.#version;
   }
 
   // Get count of stored atlases
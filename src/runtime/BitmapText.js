@@ -51,6 +51,9 @@ class BitmapText {
   // Minimum renderable font size (sizes < 9 use interpolated metrics from 9)
   static MIN_RENDERABLE_SIZE = 9;
 
+  // Default tab stop interval, in space advances (same as CSS tab-size)
+  static DEFAULT_TAB_SIZE = 8;
+
   // Runtime↔asset bundle schema version. Stamped into the deflated envelope of
   // every metrics-bundle.js / positioning-bundle-density-*.js. Bump when ANY
   // wire-level or record-shape contract changes — codec swap, slot reordering,
@@ -69,6 +72,33 @@ class BitmapText {
   // Default text color (matches TextProperties default)
   static #DEFAULT_TEXT_COLOR = '#000000';
 
+  // Default selection highlight color (drawSelection)
+  static #DEFAULT_HIGHLIGHT_COLOR = '#B4D5FE';
+
+  // Named colors JS-side pixel painting understands (canvas-mock knows the same ones)
+  static #NAMED_COLORS = {
+    white: { r: 255, g: 255, b: 255, a: 1 },
+    black: { r: 0, g: 0, b: 0, a: 1 },
+    transparent: { r: 0, g: 0, b: 0, a: 0 }
+  };
+
+  // Colors JS-side pixel painting couldn't parse (each is reported once, then painted black)
+  static #unsupportedColorsWarned = new Set();
+
+  // Rotations that aren't quarter turns (each is reported once, then drawn unrotated)
+  static #unsupportedRotationsWarned = new Set();
+
+  // Glyph appended by overflow: 'ellipsis' (U+2026, part of CharacterSets.FONT_SPECIFIC_CHARS)
+  static #ELLIPSIS_CHAR = '…';
+
+  // Text decoration thickness in ems (textProperties.textDecoration)
+  static #DECORATION_THICKNESS_EM = 1 / 16;
+
+  // Default cache limits (all opt-in caches start disabled, see the set*CacheLimits methods)
+  static #DEFAULT_COLOR_CACHE_LIMITS = Object.freeze({ maxEntries: 0, maxPixels: 4 * 1024 * 1024 });
+  static #DEFAULT_MEASURE_CACHE_LIMITS = Object.freeze({ maxEntries: 0 });
+  static #DEFAULT_EFFECT_CACHE_LIMITS = Object.freeze({ maxEntries: 0, maxPixels: 4 * 1024 * 1024 });
+
   /**
    * Fast font-invariant character detection helper
    * Uses string.includes() for ~1-2ns lookup performance
@@ -81,6 +111,20 @@ class BitmapText {
     return CharacterSets.FONT_INVARIANT_CHARS.includes(char);
   }
 
+  /**
+   * Character whose FontMetrics entry describes the given character's bounding boxes.
+   * Tabs and Unicode spaces (NBSP, thin, em, ...) have no metrics of their own and
+   * borrow the standard space's (their advance is synthesized in calculateAdvancement_CssPx
+   * and #computeTabAdvances).
+   *
+   * @private
+   * @param {string} char - Already-resolved character
+   * @returns {string} The character itself, or ' ' for tabs and Unicode spaces
+   */
+  static #metricsCharFor(char) {
+    return CharacterSets.isSpaceCharacter(char) ? ' ' : char;
+  }
+
   /**
    * Calculate optimal grid dimensions for atlas layout
    * Uses square-ish approach (ceil(sqrt(N))) to minimize max dimension
@@ -116,6 +160,32 @@ class BitmapText {
   // Rendering resources (lazy-initialized on first render)
   static #coloredGlyphCanvas = null;    // Shared scratch canvas for coloring
   static #coloredGlyphCtx = null;       // 2D context for scratch canvas
+  static #atlasPixelsCache = new WeakMap(); // Image-element atlas → RGBA pixels (drawTextToImageData)
+  static #rotatedAtlasCache = new WeakMap(); // Atlas image → rotated copies by quarter turn (textProperties.rotation)
+
+  // Colored glyph cache (opt-in): tinted atlas copies by (atlas image, color), least recently used first
+  static #colorCache = new Map();            // `${atlasId}:${color}` → {image, pixels}
+  static #atlasCacheIds = new WeakMap();      // Atlas image → numeric id for cache keys (see #atlasCacheId)
+  static #nextAtlasCacheId = 1;
+  static #colorCacheLimits = BitmapText.#DEFAULT_COLOR_CACHE_LIMITS;
+  static #colorCacheStats = { pixels: 0, hits: 0, misses: 0, evictions: 0 };
+
+  // Measurement cache (opt-in): measureText results, least recently used first
+  static #measureCache = new Map();          // `${font chain key}\0${textProperties.key}\0${text}` → result
+  static #measureCacheLimits = BitmapText.#DEFAULT_MEASURE_CACHE_LIMITS;
+  static #measureCacheStats = { hits: 0, misses: 0, evictions: 0 };
+  static #measureCacheMetricsVersion = -1;   // #metricsVersion() the entries were measured at
+
+  // Sprite cache (renderToCanvas with cache: true): kept until every renderToCanvas that
+  // returned a sprite is matched by a releaseSprite
+  static #spriteCache = new Map();           // `${#storeVersion()}\0${font chain key}\0${textProperties.key}\0${text}` → {key, result, refCount}
+  static #spriteCacheEntries = new WeakMap(); // Unreleased sprite wrapper → its cache entry
+  static #spriteCacheStats = { hits: 0, misses: 0 };
+
+  // Effect mask cache (opt-in): outline / glow / shadow masks by ink layout, least recently used first
+  static #effectCache = new Map();           // #textEffectsCacheKey → {layers, pixels}
+  static #effectCacheLimits = BitmapText.#DEFAULT_EFFECT_CACHE_LIMITS;
+  static #effectCacheStats = { pixels: 0, hits: 0, misses: 0, evictions: 0 };
 
   // Font loader (platform-specific, set at runtime)
   static _fontLoader = null;            // FontLoaderBrowser or FontLoaderNode
@@ -186,6 +256,9 @@ class BitmapText {
    * @param {Object} options - Configuration options
    * @param {string} [options.fontDirectory] - Font assets directory
    * @param {Function} [options.canvasFactory] - Canvas factory function
+   * @param {Object} [options.colorCache] - Colored glyph cache limits (see setColorCacheLimits)
+   * @param {Object} [options.measureCache] - Measurement cache limits (see setMeasureCacheLimits)
+   * @param {Object} [options.effectCache] - Effect mask cache limits (see setEffectCacheLimits)
    */
   static configure(options = {}) {
     if (options.fontDirectory !== undefined) {
@@ -194,6 +267,143 @@ class BitmapText {
     if (options.canvasFactory !== undefined) {
       BitmapText.setCanvasFactory(options.canvasFactory);
     }
+    if (options.colorCache !== undefined) {
+      BitmapText.setColorCacheLimits(options.colorCache);
+    }
+    if (options.measureCache !== undefined) {
+      BitmapText.setMeasureCacheLimits(options.measureCache);
+    }
+    if (options.effectCache !== undefined) {
+      BitmapText.setEffectCacheLimits(options.effectCache);
+    }
+  }
+
+  /**
+   * Set the size limits of the colored glyph cache (disabled by default)
+   *
+   * By default colored text is composited per draw call (#drawColoredTextBatched). With
+   * maxEntries > 0 it is drawn from tinted copies of the atlases instead (one 'source-in'
+   * composite per atlas and color), kept in an LRU cache. The least recently used
+   * copies are evicted when either limit is exceeded; atlases larger than maxPixels
+   * are never cached (their text is colored per call, as without the cache).
+   *
+   * @param {Object} limits - Limits to change (omitted ones are kept)
+   * @param {number} [limits.maxEntries=0] - Max tinted atlas copies (0 disables the cache)
+   * @param {number} [limits.maxPixels=4194304] - Max total pixels of the copies (4 bytes each)
+   */
+  static setColorCacheLimits(limits = {}) {
+    BitmapText.#colorCacheLimits = {
+      maxEntries: limits.maxEntries ?? BitmapText.#colorCacheLimits.maxEntries,
+      maxPixels: limits.maxPixels ?? BitmapText.#colorCacheLimits.maxPixels
+    };
+    BitmapText.#evictColorCache(0);
+  }
+
+  /**
+   * Colored glyph cache usage
+   * @returns {{entries: number, pixels: number, hits: number, misses: number, evictions: number, maxEntries: number, maxPixels: number}}
+   *   hits / misses count colored glyph draws served from / needing a new tinted atlas copy
+   */
+  static getColorCacheStats() {
+    return {
+      entries: BitmapText.#colorCache.size,
+      ...BitmapText.#colorCacheStats,
+      ...BitmapText.#colorCacheLimits
+    };
+  }
+
+  /**
+   * Drop all tinted atlas copies and reset the cache statistics
+   * (e.g. after a palette change, to free their memory at once)
+   */
+  static clearColorCache() {
+    BitmapText.#colorCache.clear();
+    BitmapText.#colorCacheStats = { pixels: 0, hits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Set the size limit of the measurement cache (disabled by default)
+   *
+   * With maxEntries > 0, measureText results are memoised by text, font (with its
+   * fallback chain) and TextProperties key, so repeated strings skip alias resolution,
+   * grapheme splitting and kerning. drawTextFromAtlas, drawTextBlock and the other
+   * APIs that measure internally share the cache. The least recently used results are
+   * evicted beyond maxEntries, and the whole cache is dropped whenever font metrics
+   * are loaded or unloaded, so it never returns results of an older font state.
+   *
+   * @param {Object} limits - Limits to change (omitted ones are kept)
+   * @param {number} [limits.maxEntries=0] - Max cached results (0 disables the cache)
+   */
+  static setMeasureCacheLimits(limits = {}) {
+    BitmapText.#measureCacheLimits = {
+      maxEntries: limits.maxEntries ?? BitmapText.#measureCacheLimits.maxEntries
+    };
+    BitmapText.#evictMeasureCache(0);
+  }
+
+  /**
+   * Measurement cache usage
+   * @returns {{entries: number, hits: number, misses: number, evictions: number, maxEntries: number}}
+   *   hits / misses count measureText calls (including internal ones) answered from / added to the cache
+   */
+  static getMeasureCacheStats() {
+    return {
+      entries: BitmapText.#measureCache.size,
+      ...BitmapText.#measureCacheStats,
+      ...BitmapText.#measureCacheLimits
+    };
+  }
+
+  /**
+   * Drop all cached measurements and reset the cache statistics
+   */
+  static clearMeasureCache() {
+    BitmapText.#measureCache.clear();
+    BitmapText.#measureCacheStats = { hits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Set the size limits of the effect mask cache (disabled by default)
+   *
+   * Outline, glow and drop shadow masks are built by dilating the alpha of the text's
+   * ink, which costs O(width × height × radius²) per draw. With maxEntries > 0 the
+   * masks are memoised by ink layout (glyphs, their atlas, decorations, clip and
+   * sub-pixel position), effect sizes and colors, so static labels redrawn every
+   * frame skip the dilation. The least recently used masks are evicted when either
+   * limit is exceeded. For fully static text, renderToCanvas sprites avoid even the
+   * per-draw compositing.
+   *
+   * @param {Object} limits - Limits to change (omitted ones are kept)
+   * @param {number} [limits.maxEntries=0] - Max cached mask sets (0 disables the cache)
+   * @param {number} [limits.maxPixels=4194304] - Max total pixels of the masks (4 bytes each)
+   */
+  static setEffectCacheLimits(limits = {}) {
+    BitmapText.#effectCacheLimits = {
+      maxEntries: limits.maxEntries ?? BitmapText.#effectCacheLimits.maxEntries,
+      maxPixels: limits.maxPixels ?? BitmapText.#effectCacheLimits.maxPixels
+    };
+    BitmapText.#evictEffectCache(0);
+  }
+
+  /**
+   * Effect mask cache usage
+   * @returns {{entries: number, pixels: number, hits: number, misses: number, evictions: number, maxEntries: number, maxPixels: number}}
+   *   hits / misses count effect draws served from / added to the cache
+   */
+  static getEffectCacheStats() {
+    return {
+      entries: BitmapText.#effectCache.size,
+      ...BitmapText.#effectCacheStats,
+      ...BitmapText.#effectCacheLimits
+    };
+  }
+
+  /**
+   * Drop all cached effect masks and reset the cache statistics
+   */
+  static clearEffectCache() {
+    BitmapText.#effectCache.clear();
+    BitmapText.#effectCacheStats = { pixels: 0, hits: 0, misses: 0, evictions: 0 };
   }
 
   /**
@@ -256,6 +466,79 @@ class BitmapText {
     return new InterpolatedFontMetrics(metricsAt9, targetSize);
   }
 
+  /**
+   * FontMetrics used to lay out text: the stored metrics, or metrics interpolated
+   * from size 9 for sizes < 9 (same lookup as measureText)
+   * @param {FontProperties} fontProperties - Font configuration
+   * @returns {FontMetrics|InterpolatedFontMetrics|null} null if neither is loaded
+   * @private
+   */
+  static #getLayoutFontMetrics(fontProperties) {
+    const fontMetrics = FontMetricsStore.getFontMetrics(fontProperties);
+    if (fontMetrics || !BitmapText._shouldUseMinSize(fontProperties.fontSize)) {
+      return fontMetrics;
+    }
+    const metricsAt9 = FontMetricsStore.getFontMetrics(BitmapText._createFontPropsAtMinSize(fontProperties));
+    return metricsAt9 ? BitmapText.#createInterpolatedFontMetrics(metricsAt9, fontProperties.fontSize) : null;
+  }
+
+  /**
+   * SIZE SNAPPING (textProperties.sizeSnapping): when fontProperties' size has no
+   * metrics (not even interpolated from size 9), pick a loaded size of the same
+   * density, family, style and weight:
+   * - 'nearest': closest size (the smaller one on ties)
+   * - 'floor': largest size below the requested one
+   * - 'ceil': smallest size above the requested one
+   * Fallback fonts at the requested size move to the snapped size with it.
+   *
+   * @param {FontProperties} fontProperties - Requested font configuration
+   * @param {TextProperties} textProperties - Text rendering configuration
+   * @returns {{fontProperties: FontProperties, requestedSize: number, snappedSize: number}|null}
+   *   null when no snapping is needed (or possible)
+   * @private
+   */
+  static #snapFontSize(fontProperties, textProperties) {
+    const policy = textProperties.sizeSnapping;
+    if (!policy || BitmapText.#getLayoutFontMetrics(fontProperties)) {
+      return null;
+    }
+
+    const requestedSize = fontProperties.fontSize;
+    let snappedSize = null;
+    for (const size of FontMetricsStore.getAvailableSizes(fontProperties)) {
+      if (policy === 'floor' ? size <= requestedSize :
+        policy === 'ceil' ? size >= requestedSize && snappedSize === null :
+        snappedSize === null || Math.abs(size - requestedSize) < Math.abs(snappedSize - requestedSize)) {
+        snappedSize = size;
+      }
+    }
+    if (snappedSize === null) {
+      return null;
+    }
+
+    const atSnappedSize = fp => new FontProperties(fp.pixelDensity, fp.fontFamily, fp.fontStyle, fp.fontWeight, snappedSize);
+    const fallbacks = fontProperties.fallbacks?.map(fallback =>
+      fallback.fontSize === requestedSize ? atSnappedSize(fallback) : fallback);
+    return {
+      fontProperties: atSnappedSize(fontProperties).withFallbacks(fallbacks),
+      requestedSize,
+      snappedSize
+    };
+  }
+
+  // Flag a result's status with the size substitution made by #snapFontSize
+  static #withSnappedSize(result, sizeSnap) {
+    return {
+      ...result,
+      status: createErrorStatus(result.status.code, {
+        ...result.status,
+        sizeSnapped: true,
+        requestedSize: sizeSnap.requestedSize,
+        snappedSize: sizeSnap.snappedSize
+      })
+    };
+  }
+
   // ============================================
   // Rendering API
   // ============================================
@@ -277,16 +560,132 @@ class BitmapText {
    * - actualBoundingBoxLeft: actualBoundingBoxLeft of first character
    * - actualBoundingBoxRight: sum of advancements (excluding last) + last char's actualBoundingBoxRight
    *
+   * MAX WIDTH: when textProperties.maxWidth is set, metrics describe the text as it
+   * will be drawn - ellipsized ('ellipsis') or clamped to maxWidth ('clip') - and the
+   * result carries a `truncation` object (see #applyOverflow).
+   *
+   * SPACING: textProperties.letterSpacing / wordSpacing are part of every advance
+   * (see calculateAdvancement_CssPx), so width includes the spacing after the last
+   * character, as CSS and canvas letterSpacing do.
+   *
+   * TABS: '\t' advances to the next tab stop (textProperties.tabStops, then every
+   * textProperties.tabWidth CSS pixels), see #computeTabAdvances.
+   *
+   * PIXEL SCALE: with textProperties.pixelScale all values are pixelScale times those
+   * of the unscaled text (letterSpacing / wordSpacing and tab stops excepted).
+   *
+   * VERTICAL LAYOUT (textProperties.layoutMode 'vertical'): characters are stacked in
+   * one column centred on x, see #measureVerticalColumn. metrics gains `height` (column
+   * height), width is the column width, and actualBoundingBox* describe the column box
+   * around the anchor (textAlign picks top / middle / bottom, textBaseline is unused).
+   * maxWidth, tab stops and kerning don't apply.
+   *
+   * ROTATION: with textProperties.rotation the actualBoundingBox* values describe the
+   * rotated text in screen axes (e.g. at 90° actualBoundingBoxDescent is the distance
+   * the text runs down from the anchor). width stays the advance along the text, and
+   * fontBoundingBox* stay in the text's own frame.
+   *
+   * SIZE SNAPPING: with textProperties.sizeSnapping, a font size without metrics is
+   * measured at the closest loaded size (see #snapFontSize) and the status carries
+   * sizeSnapped: true, requestedSize and snappedSize.
+   *
+   * CACHE: when enabled with setMeasureCacheLimits, results are memoised (each call
+   * returns its own copy of the result, its metrics, truncation and status, including
+   * the status Sets and Maps).
+   *
    * @param {string} text - Text to measure
    * @param {FontProperties} fontProperties - Font configuration
    * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
-   * @returns {{metrics: {width: number, actualBoundingBoxLeft: number, actualBoundingBoxRight: number, actualBoundingBoxAscent: number, actualBoundingBoxDescent: number, fontBoundingBoxAscent: number, fontBoundingBoxDescent: number}|null, status: {code: number, missingChars?: Set}}}
+   * @returns {{metrics: {width: number, actualBoundingBoxLeft: number, actualBoundingBoxRight: number, actualBoundingBoxAscent: number, actualBoundingBoxDescent: number, fontBoundingBoxAscent: number, fontBoundingBoxDescent: number}|null, status: {code: number, missingChars?: Set, fallbackChars?: Map<string, Set<string>>, sizeSnapped?: boolean}, truncation?: {isTruncated: boolean, visibleCharCount: number}}}
    *   All numeric values in metrics are CSS pixels
    */
   static measureText(text, fontProperties, textProperties) {
     if (!textProperties) {
       textProperties = new TextProperties();
     }
+    if (BitmapText.#measureCacheLimits.maxEntries === 0) {
+      return BitmapText.#measureTextUncached(text, fontProperties, textProperties);
+    }
+
+    // Results measured before metrics were loaded / unloaded may be stale
+    const metricsVersion = BitmapText.#metricsVersion();
+    if (metricsVersion !== BitmapText.#measureCacheMetricsVersion) {
+      BitmapText.#measureCache.clear();
+      BitmapText.#measureCacheMetricsVersion = metricsVersion;
+    }
+
+    const key = `${BitmapText.#fontChainKey(fontProperties)}\0${textProperties.key}\0${text}`;
+    const stats = BitmapText.#measureCacheStats;
+    let result = BitmapText.#measureCache.get(key);
+    if (result) {
+      // Move to the most recently used end (Map keeps insertion order)
+      BitmapText.#measureCache.delete(key);
+      BitmapText.#measureCache.set(key, result);
+      stats.hits++;
+    } else {
+      stats.misses++;
+      result = BitmapText.#measureTextUncached(text, fontProperties, textProperties);
+      BitmapText.#evictMeasureCache(1);
+      BitmapText.#measureCache.set(key, result);
+    }
+
+    // Copies, so callers can't alter the cached result
+    const copy = { ...result, status: BitmapText.#copyStatus(result.status) };
+    if (result.metrics) copy.metrics = { ...result.metrics };
+    if (result.truncation) copy.truncation = { ...result.truncation };
+    return copy;
+  }
+
+  // Copy of a status whose Sets and Maps (missingChars, fallbackChars and its Sets, ...)
+  // are new collections; SUCCESS_STATUS holds none and is returned as is
+  static #copyStatus(status) {
+    if (status === SUCCESS_STATUS) return status;
+    const copyCollection = value => {
+      if (value instanceof Set) return new Set(value);
+      if (value instanceof Map) return new Map([...value].map(([key, entry]) => [key, copyCollection(entry)]));
+      return value;
+    };
+    const { code, ...details } = status;
+    for (const name of Object.keys(details)) {
+      details[name] = copyCollection(details[name]);
+    }
+    return createErrorStatus(code, details);
+  }
+
+  // Evict least recently used measurements until newEntries more fit
+  static #evictMeasureCache(newEntries) {
+    const stats = BitmapText.#measureCacheStats;
+    for (const key of BitmapText.#measureCache.keys()) {
+      if (BitmapText.#measureCache.size + newEntries <= BitmapText.#measureCacheLimits.maxEntries) break;
+      BitmapText.#measureCache.delete(key);
+      stats.evictions++;
+    }
+  }
+
+  // Changes whenever metrics are set or removed in either store (both versions only grow)
+  static #metricsVersion() {
+    const bundleVersion = typeof MetricsBundleStore !== 'undefined' ? MetricsBundleStore.getVersion() : 0;
+    return FontMetricsStore.getVersion() + bundleVersion;
+  }
+
+  // #metricsVersion that also changes whenever atlases are set or removed
+  static #storeVersion() {
+    return BitmapText.#metricsVersion() + AtlasDataStore.getVersion();
+  }
+
+  // fontProperties.key extended with its fallback chain (which the key leaves out)
+  static #fontChainKey(fontProperties) {
+    if (!fontProperties.fallbacks) return fontProperties.key;
+    return `${fontProperties.key}[${fontProperties.fallbacks.map(fallback => BitmapText.#fontChainKey(fallback)).join(',')}]`;
+  }
+
+  // measureText without the cache
+  static #measureTextUncached(text, fontProperties, textProperties) {
+    const sizeSnap = BitmapText.#snapFontSize(fontProperties, textProperties);
+    if (sizeSnap) {
+      // Uncached: measureText caches the snapped result under the requested size only
+      return BitmapText.#withSnappedSize(BitmapText.#measureTextUncached(text, sizeSnap.fontProperties, textProperties), sizeSnap);
+    }
 
     // FAST PATH: Handle empty text (100% success)
     if (text.length === 0) {
@@ -300,7 +699,8 @@ class BitmapText {
           fontBoundingBoxAscent: 0,
           fontBoundingBoxDescent: 0
         },
-        status: SUCCESS_STATUS
+        status: SUCCESS_STATUS,
+        ...(textProperties.maxWidth !== null && { truncation: { isTruncated: false, visibleCharCount: 0 } })
       };
     }
 
@@ -333,15 +733,13 @@ class BitmapText {
       };
     }
 
-    const { invariantFontProps, invariantFontMetrics, hasInvariantFont } =
-      BitmapText.#resolveInvariantFont(fontProperties);
+    const fontChain = BitmapText.#resolveFontChain(fontProperties, fontMetrics);
 
-    // Resolve all character aliases upfront using fast regex pass
-    // This is 2-386x faster than per-character resolution (see CharacterSets.resolveString)
-    const resolvedText = CharacterSets.resolveString(text);
-    const chars = [...resolvedText];
+    // Split into grapheme clusters and resolve aliases per cluster upfront
+    // (plain-text fast path uses the regex alias pass, see CharacterSets.resolveCharacters)
+    let chars = CharacterSets.resolveCharacters(text);
 
-    const missingChars = BitmapText.#scanForMissingChars(chars, fontMetrics, invariantFontMetrics, hasInvariantFont);
+    const missingChars = BitmapText.#scanForMissingChars(chars, fontChain);
 
     // If any glyphs missing, can't calculate accurate metrics
     if (missingChars.size > 0) {
@@ -353,6 +751,45 @@ class BitmapText {
       };
     }
 
+    // VERTICAL LAYOUT: one column of stacked cells (no kerning, tabs or truncation)
+    if (textProperties.layoutMode === 'vertical') {
+      const column = BitmapText.#measureVerticalColumn(
+        chars, fontChain, textProperties);
+      const alignmentOffset_CssPx = BitmapText.#calculateAlignmentOffsetToLeft(textProperties.textAlign, column.height);
+      const spaceMetrics = fontMetrics.getCharacterMetrics(' ');
+      const metrics = {
+        width: column.width,
+        height: column.height,
+        actualBoundingBoxLeft: column.width / 2,
+        actualBoundingBoxRight: column.width / 2,
+        actualBoundingBoxAscent: -alignmentOffset_CssPx,
+        actualBoundingBoxDescent: column.height + alignmentOffset_CssPx,
+        fontBoundingBoxAscent: spaceMetrics.fontBoundingBoxAscent * textProperties.pixelScale,
+        fontBoundingBoxDescent: spaceMetrics.fontBoundingBoxDescent * textProperties.pixelScale
+      };
+      BitmapText.#rotateBoundingBox(metrics, BitmapText.#quarterTurnRotation(textProperties));
+      return { metrics, status: BitmapText.#withFallbackChars(SUCCESS_STATUS, BitmapText.#collectFallbackChars(chars, fontChain)) };
+    }
+
+    // MAX WIDTH SUPPORT: measure the characters that will actually be drawn
+    let truncation = null;
+    if (textProperties.maxWidth !== null) {
+      truncation = BitmapText.#applyOverflow(
+        chars, fontChain, textProperties);
+      if (truncation.missingChars) {
+        return {
+          metrics: null,
+          status: createErrorStatus(StatusCode.PARTIAL_METRICS, {
+            missingChars: truncation.missingChars
+          })
+        };
+      }
+      chars = truncation.chars;
+    }
+
+    // TAB SUPPORT: tab advances depend on pen position, so they are laid out upfront
+    const tabAdvances_CssPx = BitmapText.#computeTabAdvances(chars, fontChain, textProperties);
+
     // SUCCESS PATH: Calculate metrics normally
     let width_CssPx = 0;
 
@@ -360,12 +797,13 @@ class BitmapText {
     const firstChar = chars[0];
 
     // Determine font for first character
-    const firstCharIsInvariant = hasInvariantFont && BitmapText.#isInvariantCharacter(firstChar);
-    let currentFontMetrics = firstCharIsInvariant ? invariantFontMetrics : fontMetrics;
-    let currentFontProps = firstCharIsInvariant ? invariantFontProps : fontProperties;
+    const firstCharFont = BitmapText.#fontForChar(firstChar, fontChain);
+
+    // PIXEL SCALE: character metrics scale with the glyphs (advances already do)
+    const pixelScale = textProperties.pixelScale;
 
-    let characterMetrics = currentFontMetrics.getCharacterMetrics(firstChar);
-    const actualBoundingBoxLeft_CssPx = characterMetrics.actualBoundingBoxLeft;
+    let characterMetrics = firstCharFont.fontMetrics.getCharacterMetrics(BitmapText.#metricsCharFor(firstChar));
+    const actualBoundingBoxLeft_CssPx = characterMetrics.actualBoundingBoxLeft * pixelScale;
     let actualBoundingBoxAscent = 0;
     let actualBoundingBoxDescent = 0;
     let actualBoundingBoxRight_CssPx;
@@ -375,40 +813,49 @@ class BitmapText {
       const char = chars[i];
       const nextChar = chars[i + 1];
 
-      // FAST CHECK: Is this a font-invariant character? Switch fonts if needed
-      const isInvariant = hasInvariantFont && BitmapText.#isInvariantCharacter(char);
-      if (isInvariant && currentFontProps !== invariantFontProps) {
-        currentFontMetrics = invariantFontMetrics;
-        currentFontProps = invariantFontProps;
-      } else if (!isInvariant && currentFontProps !== fontProperties) {
-        currentFontMetrics = fontMetrics;
-        currentFontProps = fontProperties;
-      }
-
-      characterMetrics = currentFontMetrics.getCharacterMetrics(char);
+      // Switch to the font of the chain that draws this character
+      const font = BitmapText.#fontForChar(char, fontChain);
+      characterMetrics = font.fontMetrics.getCharacterMetrics(BitmapText.#metricsCharFor(char));
 
-      actualBoundingBoxAscent = Math.max(actualBoundingBoxAscent, characterMetrics.actualBoundingBoxAscent);
-      actualBoundingBoxDescent = Math.min(actualBoundingBoxDescent, characterMetrics.actualBoundingBoxDescent);
+      actualBoundingBoxAscent = Math.max(actualBoundingBoxAscent, characterMetrics.actualBoundingBoxAscent * pixelScale);
+      actualBoundingBoxDescent = Math.min(actualBoundingBoxDescent, characterMetrics.actualBoundingBoxDescent * pixelScale);
 
-      advancement_CssPx = this.calculateAdvancement_CssPx(currentFontMetrics, currentFontProps, char, nextChar, textProperties, characterMetrics);
+      advancement_CssPx = tabAdvances_CssPx?.[i] ??
+        this.calculateAdvancement_CssPx(font.fontMetrics, font.fontProperties, char, nextChar, textProperties, characterMetrics);
       width_CssPx += advancement_CssPx;
     }
 
     actualBoundingBoxRight_CssPx = width_CssPx - advancement_CssPx;
-    actualBoundingBoxRight_CssPx += characterMetrics.actualBoundingBoxRight;
+    actualBoundingBoxRight_CssPx += characterMetrics.actualBoundingBoxRight * pixelScale;
 
-    return {
+    // Clipped text never extends past maxWidth
+    if (truncation?.isTruncated && textProperties.overflow === 'clip') {
+      width_CssPx = Math.min(width_CssPx, textProperties.maxWidth);
+      actualBoundingBoxRight_CssPx = Math.min(actualBoundingBoxRight_CssPx, textProperties.maxWidth);
+    }
+
+    const result = {
       metrics: {
         width: width_CssPx,
         actualBoundingBoxLeft: actualBoundingBoxLeft_CssPx,
         actualBoundingBoxRight: actualBoundingBoxRight_CssPx,
         actualBoundingBoxAscent,
         actualBoundingBoxDescent,
-        fontBoundingBoxAscent: characterMetrics.fontBoundingBoxAscent,
-        fontBoundingBoxDescent: characterMetrics.fontBoundingBoxDescent
+        fontBoundingBoxAscent: characterMetrics.fontBoundingBoxAscent * pixelScale,
+        fontBoundingBoxDescent: characterMetrics.fontBoundingBoxDescent * pixelScale
       },
-      status: SUCCESS_STATUS
+      status: BitmapText.#withFallbackChars(SUCCESS_STATUS, BitmapText.#collectFallbackChars(chars, fontChain))
     };
+
+    // ROTATION SUPPORT: turn the ink bounding box around the anchor into screen axes
+    BitmapText.#rotateBoundingBox(result.metrics, BitmapText.#quarterTurnRotation(textProperties));
+    if (truncation) {
+      result.truncation = {
+        isTruncated: truncation.isTruncated,
+        visibleCharCount: truncation.visibleCharCount
+      };
+    }
+    return result;
   }
 
   /**
@@ -432,100 +879,66 @@ class BitmapText {
    *   // Text renders at (10, 30) CSS pixels from origin, NOT (120, 80)!
    *   // Transforms are ignored - coordinates are always absolute
    *
+   * OPT-IN TRANSFORM AWARENESS (textProperties.respectTransform):
+   * the current transform is read before it is reset. A pure translation, optionally
+   * with a uniform scale equal to pixelDensity (the usual ctx.scale(dpr, dpr) setup),
+   * is honoured: the text moves by the translation, snapped to whole physical pixels.
+   * Any other transform (rotation, skew, other scales) is ignored as above and the
+   * status reports TRANSFORM_IGNORED (or carries transformIgnored: true when an
+   * atlas status takes precedence).
+   *
    * PIXEL DENSITY:
    * - Specified via fontProperties.pixelDensity (e.g., window.devicePixelRatio)
    * - Canvas should be sized: canvas.width = cssWidth × pixelDensity
    * - Do NOT use ctx.scale(dpr, dpr) - BitmapText handles density internally
    *
+   * MAX WIDTH (textProperties.maxWidth / overflow):
+   * - 'ellipsis': draws the longest prefix that fits followed by '…'
+   * - 'clip': draws the whole text but no pixel right of x + maxWidth (after alignment)
+   * - The result then carries `truncation: {isTruncated, visibleCharCount}`
+   *
+   * ROTATION (textProperties.rotation: 0, 90, 180, 270 degrees clockwise):
+   * - Text turns around (x_CssPx, y_CssPx) snapped to physical pixels; textBaseline,
+   *   textAlign and maxWidth apply along the rotated text direction
+   * - Glyphs are copied from a rotated copy of the atlas (pixel-exact, no resampling)
+   * - Colored rotated text is tinted per glyph (no batched path)
+   *
+   * PIXEL SCALE (textProperties.pixelScale: integer):
+   * - Glyphs are upscaled pixelScale× with nearest-neighbour sampling (image smoothing
+   *   disabled), their offsets and advances are scaled alike: a chunky, exact render
+   *   of the font pixelScale times larger
+   * - Colored scaled text is tinted per glyph (no batched path)
+   *
+   * VERTICAL LAYOUT (textProperties.layoutMode 'vertical'):
+   * - Characters are stacked top to bottom, each centred on the column axis at x_CssPx
+   * - y_CssPx is the top of the column ('left' textAlign), its middle ('center') or
+   *   its bottom ('right'); textBaseline and maxWidth are not used
+   * - Colored vertical text is tinted per glyph (no batched path)
+   *
+   * SIZE SNAPPING (textProperties.sizeSnapping 'nearest' / 'floor' / 'ceil'):
+   * - A font size without metrics is drawn at the closest loaded size instead of
+   *   failing with NO_METRICS; the status carries sizeSnapped: true, requestedSize
+   *   and snappedSize (see #snapFontSize)
+   *
    * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (transform will be temporarily reset)
    * @param {string} text - Text to render
    * @param {number} x_CssPx - X position in CSS pixels (absolute, from canvas origin)
    * @param {number} y_CssPx - Y position in CSS pixels (absolute, from canvas origin, bottom baseline)
    * @param {FontProperties} fontProperties - Font configuration (including pixelDensity)
    * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
-   * @returns {{rendered: boolean, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean}}}
+   * @returns {{rendered: boolean, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean, fallbackChars?: Map<string, Set<string>>, sizeSnapped?: boolean}, truncation?: {isTruncated: boolean, visibleCharCount: number}}}
    *   Rendering result and status information
    */
   static drawTextFromAtlas(ctx, text, x_CssPx, y_CssPx, fontProperties, textProperties = null) {
     textProperties = textProperties || new TextProperties();
+    BitmapText.#ensureColoredGlyphCanvas();
 
-    // Lazy-initialize canvas on first render
-    if (!BitmapText.#coloredGlyphCanvas) {
-      // Explicit factory invocation: get factory, then call it
-      BitmapText.#coloredGlyphCanvas = BitmapText.getCanvasFactory()();
-      BitmapText.#coloredGlyphCtx = BitmapText.#coloredGlyphCanvas.getContext('2d');
-    }
-
-    // Check FontMetrics availability first
-    let fontMetrics = FontMetricsStore.getFontMetrics(fontProperties);
-    let forceInvalidAtlas = false;
-
-    // For sizes < 9, always use interpolated metrics from 9 and force placeholder mode
-    if (BitmapText._shouldUseMinSize(fontProperties.fontSize)) {
-      const minSizeProps = BitmapText._createFontPropsAtMinSize(fontProperties);
-      const metricsAt9 = FontMetricsStore.getFontMetrics(minSizeProps);
-
-      if (!metricsAt9) {
-        // Size 9 metrics don't exist - can't render
-        return {
-          rendered: false,
-          status: createErrorStatus(StatusCode.NO_METRICS, {
-            requiresMinSize: true,
-            requestedSize: fontProperties.fontSize,
-            minSize: BitmapText.MIN_RENDERABLE_SIZE
-          })
-        };
-      }
-
-      // Create interpolated metrics wrapper and force placeholder mode
-      fontMetrics = BitmapText.#createInterpolatedFontMetrics(metricsAt9, fontProperties.fontSize);
-      forceInvalidAtlas = true; // Always use placeholders for sizes < 9
-    } else if (!fontMetrics) {
-      // Normal size but metrics not found
-      return {
-        rendered: false,
-        status: createErrorStatus(StatusCode.NO_METRICS)
-      };
-    }
-
-    const { invariantFontProps, invariantFontMetrics, hasInvariantFont } =
-      BitmapText.#resolveInvariantFont(fontProperties);
-
-    // Resolve all character aliases upfront using fast regex pass
-    // This is 2-386x faster than per-character resolution (see CharacterSets.resolveString)
-    const resolvedText = CharacterSets.resolveString(text);
-    const chars = [...resolvedText];
-
-    const missingMetricsChars = BitmapText.#scanForMissingChars(chars, fontMetrics, invariantFontMetrics, hasInvariantFont);
-
-    if (missingMetricsChars.size > 0) {
-      return {
-        rendered: false,
-        status: createErrorStatus(StatusCode.PARTIAL_METRICS, {
-          missingChars: missingMetricsChars
-        })
-      };
+    // TRANSFORM SUPPORT (opt-in): read the transform before it is reset below
+    let translation_PhysPx = null;
+    if (textProperties.respectTransform) {
+      translation_PhysPx = BitmapText.#readContextTranslation_PhysPx(ctx, fontProperties.pixelDensity);
     }
 
-    // Check atlas data availability (force invalid for sizes < 9)
-    let atlasData = forceInvalidAtlas ? null : AtlasDataStore.getAtlasData(fontProperties);
-    const atlasValid = forceInvalidAtlas ? false : BitmapText._isValidAtlas(atlasData);
-
-    const invariantAtlasData = invariantFontMetrics ?
-      AtlasDataStore.getAtlasData(invariantFontProps) : null;
-    const invariantAtlasValid = invariantFontMetrics ?
-      BitmapText._isValidAtlas(invariantAtlasData) : false;
-
-    // Track current font to minimize redundant lookups
-    let currentFontProps = fontProperties;
-    let currentFontMetrics = fontMetrics;
-    let currentAtlasData = atlasData;
-    let currentAtlasValid = atlasValid;
-
-    // Track which glyphs are missing from atlas (for partial atlas status)
-    const missingAtlasChars = new Set();
-    let placeholdersUsed = false;
-
     // CRITICAL: Reset transform to identity for pixel-perfect physical rendering
     // BitmapText ignores ALL context transforms (scale, translate, rotate, etc.)
     // Coordinates are ALWAYS relative to canvas origin (0,0)
@@ -535,127 +948,1493 @@ class BitmapText {
     // 3. No double-scaling when users apply ctx.scale(dpr, dpr)
     ctx.save();
     ctx.setTransform(1, 0, 0, 1, 0, 0);  // Reset to identity matrix
-    const textColor = textProperties.textColor;
+    const result = BitmapText.#drawTextWithIdentityTransform(
+      ctx, text, x_CssPx, y_CssPx, fontProperties, textProperties, translation_PhysPx);
+    ctx.restore();  // Restore original transform
+    return result;
+  }
 
-    // BASELINE SUPPORT: Convert user's y from their chosen baseline to 'bottom' baseline
-    // Get baseline data from first character (baseline values are identical for all characters in a font)
-    // Use first actual character, or fallback to space character for baseline calculation
-    const firstChar = chars.find(c => fontMetrics.hasGlyph(c)) || chars[0];
-    const characterMetricsForBaseline = fontMetrics.getCharacterMetrics(firstChar);
-    const baselineOffset_CssPx = characterMetricsForBaseline
-      ? BitmapText.#calculateBaselineOffsetToBottom(textProperties.textBaseline, characterMetricsForBaseline)
-      : 0;
+  // Lazy-initialize the scratch canvas on first render
+  static #ensureColoredGlyphCanvas() {
+    if (!BitmapText.#coloredGlyphCanvas) {
+      // Explicit factory invocation: get factory, then call it
+      BitmapText.#coloredGlyphCanvas = BitmapText.getCanvasFactory()();
+      BitmapText.#coloredGlyphCtx = BitmapText.#coloredGlyphCanvas.getContext('2d');
+    }
+  }
 
-    // ALIGNMENT SUPPORT: Convert user's x from their chosen alignment to 'left' alignment
-    // Measure text width to calculate alignment offset (measureText accounts for kerning if enabled)
-    let alignmentOffset_CssPx = 0;
-    if (textProperties.textAlign !== 'left') {
-      const measureResult = BitmapText.measureText(text, fontProperties, textProperties);
-      if (measureResult.status.code === 0 && measureResult.metrics) {
-        // Successfully measured text - calculate alignment offset
-        alignmentOffset_CssPx = BitmapText.#calculateAlignmentOffsetToLeft(
-          textProperties.textAlign,
-          measureResult.metrics.width
-        );
-      } else {
-        // Failed to measure (missing glyphs, etc.) - default to left alignment (offset = 0)
-        // Text will still render but won't be aligned as requested
-        console.warn(`BitmapText: Failed to measure text for alignment '${textProperties.textAlign}', defaulting to left alignment`);
-      }
+  /**
+   * drawTextFromAtlas on a context whose transform is already reset to identity
+   * (drawTextFromAtlas resets it per call, drawTexts once for all its items)
+   * @private
+   * @param {Object|null} translation_PhysPx - Context translation read before the reset
+   *   (see #readContextTranslation_PhysPx), null without respectTransform
+   * @param {Map<string, Object>|null} fontLookups - Per-call font lookups of drawTexts
+   *   (see #lookUpFont), null for a single string
+   * @returns {Object} drawTextFromAtlas result
+   */
+  static #drawTextWithIdentityTransform(ctx, text, x_CssPx, y_CssPx, fontProperties, textProperties, translation_PhysPx, fontLookups = null) {
+    // SIZE SNAPPING (opt-in): draw an unloaded size at the closest loaded one
+    const sizeSnap = BitmapText.#snapFontSize(fontProperties, textProperties);
+    if (sizeSnap) {
+      return BitmapText.#withSnappedSize(BitmapText.#drawTextWithIdentityTransform(
+        ctx, text, x_CssPx, y_CssPx, sizeSnap.fontProperties, textProperties, translation_PhysPx, fontLookups), sizeSnap);
     }
+    const transformIgnored = textProperties.respectTransform && translation_PhysPx === null;
 
-    // Apply baseline and alignment offsets, then convert to physical pixels
-    const position_PhysPx = {
-      x: (x_CssPx + alignmentOffset_CssPx) * fontProperties.pixelDensity,
-      y: (y_CssPx + baselineOffset_CssPx) * fontProperties.pixelDensity
-    };
+    const prepared = BitmapText.#prepareLayout(
+      text, x_CssPx, y_CssPx, fontProperties, textProperties, translation_PhysPx, fontLookups);
+    if (prepared.status) {
+      return { rendered: false, status: prepared.status };
+    }
+    const { chars, fontLookup, position_PhysPx, clipRight_PhysPx, anchor_PhysPx, truncation } = prepared;
+    const rotation = BitmapText.#quarterTurnRotation(textProperties);
+
+    // Check atlas data availability (null for sizes < 9, see #lookUpFont)
+    const atlasData = fontLookup.atlasDataByFont.get(fontLookup.fontChain.base);
+    const atlasValid = BitmapText._isValidAtlas(atlasData);
+
+    // Context state changed for this text only, put back below
+    const { imageSmoothingEnabled, globalAlpha } = ctx;
+    if (textProperties.pixelScale !== 1) {
+      ctx.imageSmoothingEnabled = false;  // Nearest-neighbour upscaling
+    }
+    // OPACITY: every draw below (glyphs, placeholders, decorations, effect layers) is a
+    // separate drawImage / fillRect on ctx, so globalAlpha fades each of them alike.
+    // Multiplied in, so a globalAlpha the caller already set still applies
+    if (textProperties.opacity !== 1) {
+      ctx.globalAlpha *= textProperties.opacity;
+    }
+    const textColor = textProperties.textColor;
 
     // OPTIMIZATION: Batch colored text rendering (single composite operation)
     // Check if we're rendering colored text with a valid atlas
+    let drawResult;
     const isColoredText = textColor !== BitmapText.#DEFAULT_TEXT_COLOR;
-    if (isColoredText && atlasValid) {
+    const isTextFill = BitmapText.#isTextFill(textColor);
+    // (with the color cache enabled, colors it can hold are drawn glyph by glyph from a tinted atlas instead,
+    // gradient / per-character fills always color the batch)
+    const useBatchedPath = isColoredText && atlasValid && rotation === 0 &&
+      textProperties.layoutMode !== 'vertical' && textProperties.pixelScale === 1 &&
+      (isTextFill || !BitmapText.#canCacheTintedAtlas(atlasData.atlasImage.image));
+
+    const hasEffects = BitmapText.#hasTextEffects(textProperties);
+
+    // Glyph layout on the canvas (the batched path lays glyphs out on its scratch canvas,
+    // so it's only needed there for decorations and effects)
+    const layout = useBatchedPath && !textProperties.textDecoration && !hasEffects ? null :
+      BitmapText.#layoutGlyphs(chars, position_PhysPx, fontLookup, textProperties);
+    let glyphs = layout?.glyphs;
+    let glyphClipRight_PhysPx = clipRight_PhysPx;
+    if (layout && rotation !== 0) {
+      glyphs = BitmapText.#rotateGlyphs(glyphs, anchor_PhysPx, rotation, clipRight_PhysPx);
+      glyphClipRight_PhysPx = Infinity;  // Already clipped along the text's own axis
+    }
+
+    // DECORATIONS: underlines / overlines go under the glyphs, line-throughs over them
+    const decorations = BitmapText.#decorationsFor(layout, prepared, fontProperties, textProperties, rotation);
+
+    // EFFECTS: glow, drop shadow and outline go under everything else
+    if (hasEffects) {
+      BitmapText.#drawTextEffects(ctx, glyphs, decorations, fontProperties, textProperties, glyphClipRight_PhysPx);
+    }
+    BitmapText.#fillDecorations(ctx, decorations, false);
+
+    if (useBatchedPath) {
       // Use optimized batch rendering for colored text
       // This reduces composite operations from N (per character) to 1 (per text string)
-      const batchResult = BitmapText.#drawColoredTextBatched(
-        ctx, text, chars, position_PhysPx, atlasData, fontMetrics, fontProperties, textProperties
+      drawResult = BitmapText.#drawColoredTextBatched(
+        ctx, text, chars, position_PhysPx, fontLookup, textProperties, clipRight_PhysPx
       );
+    } else if (isTextFill) {
+      // Gradient / per-character fill of placeholders, rotated, vertical or scaled text:
+      // composited like the batch, from the laid-out glyphs
+      drawResult = layout;
+      BitmapText.#drawFilledGlyphs(ctx, glyphs, textColor, rotation, glyphClipRight_PhysPx);
+    } else {
+      // Black text, cached colors, invalid atlas, rotated, vertical or scaled text: draw the laid-out glyphs one by one
+      drawResult = layout;
+      let tintedAtlases = fontLookup.tintedAtlasesByColor.get(textColor);
+      if (!tintedAtlases) {
+        tintedAtlases = new Map();
+        fontLookup.tintedAtlasesByColor.set(textColor, tintedAtlases);
+      }
+      for (const glyph of glyphs) {
+        BitmapText.#drawGlyph(ctx, glyph, textColor, glyphClipRight_PhysPx, tintedAtlases);
+      }
+    }
 
-      // Merge batch results into tracking sets
-      batchResult.missingAtlasChars.forEach(char => missingAtlasChars.add(char));
-      placeholdersUsed = placeholdersUsed || batchResult.placeholdersUsed;
+    BitmapText.#fillDecorations(ctx, decorations, true);
 
-      // Skip character-by-character loop for colored text
-    } else {
-      // Black text or invalid atlas: use character-by-character rendering
-      // Note: chars array is already resolved (emojis→symbols) from resolvedText
-      for (let i = 0; i < chars.length; i++) {
-        const currentChar = chars[i];
-        const nextChar = chars[i + 1];
-
-        // FAST CHECK: Is this a font-invariant character? (string.includes on 18 chars = ~1-2ns)
-        const isInvariant = hasInvariantFont && BitmapText.#isInvariantCharacter(currentChar);
-
-        // Switch font ONLY if needed (avoids redundant assignments)
-        if (isInvariant && currentFontProps !== invariantFontProps) {
-          currentFontProps = invariantFontProps;
-          currentFontMetrics = invariantFontMetrics;
-          currentAtlasData = invariantAtlasData;
-          currentAtlasValid = invariantAtlasValid;
-        } else if (!isInvariant && currentFontProps !== fontProperties) {
-          // Switch back to base font
-          currentFontProps = fontProperties;
-          currentFontMetrics = fontMetrics;
-          currentAtlasData = atlasData;
-          currentAtlasValid = atlasValid;
-        }
+    if (textProperties.pixelScale !== 1) {
+      ctx.imageSmoothingEnabled = imageSmoothingEnabled;
+    }
+    if (textProperties.opacity !== 1) {
+      ctx.globalAlpha = globalAlpha;
+    }
+
+    let status = BitmapText.#withFallbackChars(
+      BitmapText.#createAtlasStatus(atlasValid, drawResult.missingAtlasChars, drawResult.placeholdersUsed),
+      drawResult.fallbackChars);
+    if (transformIgnored) {
+      status = BitmapText.#withTransformIgnored(status);
+    }
+
+    const result = { rendered: true, status };
+    if (truncation) {
+      result.truncation = {
+        isTruncated: truncation.isTruncated,
+        visibleCharCount: truncation.visibleCharCount
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Draw many strings in one call (HUDs, tables, labels)
+   *
+   * Each item is drawn exactly as drawTextFromAtlas would draw it, but the context
+   * is saved, reset to the identity transform and restored once for the whole batch
+   * instead of once per string, a respectTransform translation is read once per
+   * pixel density, and items in the same font chain share their metrics, font chain
+   * and atlas lookups and the tinted atlases of their text color. Items are still
+   * drawn in array order, so later items stack on top.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (transform will be temporarily reset)
+   * @param {Array<{text: string, x: number, y: number, fontProperties: FontProperties, textProperties?: TextProperties}>} items
+   *   Strings to draw; x / y in CSS pixels as in drawTextFromAtlas
+   * @returns {{rendered: boolean, results: Array<Object>, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean}}}
+   *   results[i] is the drawTextFromAtlas result of items[i]; rendered is true if any
+   *   item was drawn; status aggregates all per-item statuses
+   */
+  static drawTexts(ctx, items) {
+    BitmapText.#ensureColoredGlyphCanvas();
+    const defaultTextProperties = new TextProperties();
+
+    // TRANSFORM SUPPORT (opt-in): read the transform before it is reset below
+    const translations_PhysPx = new Map();  // pixelDensity → translation
+    for (const item of items) {
+      const pixelDensity = item.fontProperties.pixelDensity;
+      if (item.textProperties?.respectTransform && !translations_PhysPx.has(pixelDensity)) {
+        translations_PhysPx.set(pixelDensity, BitmapText.#readContextTranslation_PhysPx(ctx, pixelDensity));
+      }
+    }
+
+    // Metrics, font chain, atlas and tinted atlas lookups, shared by the items drawn
+    // in the same font chain (see #lookUpFont)
+    const fontLookups = new Map();
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);  // Once for all items (see drawTextFromAtlas)
+    const results = items.map(item => {
+      const textProperties = item.textProperties || defaultTextProperties;
+      const translation_PhysPx = textProperties.respectTransform
+        ? translations_PhysPx.get(item.fontProperties.pixelDensity)
+        : null;
+      return BitmapText.#drawTextWithIdentityTransform(
+        ctx, item.text, item.x, item.y, item.fontProperties, textProperties, translation_PhysPx, fontLookups);
+    });
+    ctx.restore();
+
+    return {
+      rendered: results.some(result => result.rendered),
+      results,
+      status: combineStatuses(results.map(result => result.status))
+    };
+  }
+
+  /**
+   * Lay out text exactly as drawTextFromAtlas draws it, without drawing
+   *
+   * For custom renderers (sprite batches, WebGL, ImageData blits): returns one record
+   * per drawable glyph, with its destination and atlas source rectangle in PHYSICAL
+   * pixels. Spaces, tabs and characters missing from a valid atlas produce no glyph.
+   * drawTextFromAtlas consumes the same layout, so a renderer that copies
+   * [xInAtlas, yInAtlas, widthInAtlas, heightInAtlas] from atlasImage to
+   * [x, y, tightWidth, tightHeight] with nearest-neighbour scaling (and fills
+   * placeholder rectangles) reproduces its black-text output pixel for pixel.
+   *
+   * GLYPH RECORD:
+   * - char: resolved character (grapheme cluster after emoji aliasing)
+   * - charIndex: index of the character in the resolved text (the per-character textColor index)
+   * - fontId: idString of the font drawing it (base font, BitmapTextInvariant or a fallback)
+   * - x, y: destination top-left (integer physical pixels from the canvas origin)
+   * - tightWidth, tightHeight: size of the glyph rectangle in physical pixels
+   * - xInAtlas, yInAtlas: source top-left in atlasImage (null for placeholders)
+   * - widthInAtlas, heightInAtlas: size of the source rectangle (null for placeholders);
+   *   tightWidth / tightHeight are these times textProperties.pixelScale
+   * - dx, dy: offset of the glyph rectangle from the pen position (physical pixels)
+   * - penX, penY: unrounded pen position on the 'bottom' baseline (physical pixels)
+   * - atlasImage: atlas image (canvas / image element) to copy from (null for placeholders)
+   * - isPlaceholder: true when the font has no valid atlas and the glyph is a solid
+   *   rectangle of the character's bounding box (see drawTextFromAtlas status)
+   *
+   * ROTATION: with textProperties.rotation, x/y/tightWidth/tightHeight and penX/penY
+   * are rotated, atlasImage is the rotated atlas copy drawTextFromAtlas draws from
+   * (xInAtlas/yInAtlas point into it), dx/dy stay in the text's own frame, clipping
+   * is already applied to the records and clipRight is null.
+   *
+   * DECORATIONS (textProperties.textDecoration): one {line, x, y, width, height, color}
+   * rectangle per line segment in physical pixels, already clipped and rotated;
+   * fill underlines / overlines before the glyphs and line-throughs after them.
+   * Empty without textDecoration and in vertical layout.
+   *
+   * @param {string} text - Text to lay out
+   * @param {number} x_CssPx - X position in CSS pixels (absolute, from canvas origin)
+   * @param {number} y_CssPx - Y position in CSS pixels (absolute, from canvas origin, textProperties.textBaseline)
+   * @param {FontProperties} fontProperties - Font configuration (including pixelDensity)
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @returns {{glyphs: Array<Object>|null, clipRight: number|null, decorations: Array<Object>|null, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean, fallbackChars?: Map<string, Set<string>>, sizeSnapped?: boolean}, truncation?: {isTruncated: boolean, visibleCharCount: number}}}
+   *   glyphs is null when nothing can be drawn (same statuses as drawTextFromAtlas);
+   *   clipRight is the first physical pixel column that must stay untouched when
+   *   textProperties.overflow is 'clip' and the text is truncated, null otherwise
+   */
+  static layoutText(text, x_CssPx, y_CssPx, fontProperties, textProperties = null) {
+    textProperties = textProperties || new TextProperties();
+
+    const sizeSnap = BitmapText.#snapFontSize(fontProperties, textProperties);
+    if (sizeSnap) {
+      return BitmapText.#withSnappedSize(
+        BitmapText.layoutText(text, x_CssPx, y_CssPx, sizeSnap.fontProperties, textProperties), sizeSnap);
+    }
+
+    const prepared = BitmapText.#prepareLayout(text, x_CssPx, y_CssPx, fontProperties, textProperties);
+    if (prepared.status) {
+      return { glyphs: null, clipRight: null, decorations: null, status: prepared.status };
+    }
+    const { chars, fontLookup, position_PhysPx, clipRight_PhysPx, anchor_PhysPx, truncation } = prepared;
+    const rotation = BitmapText.#quarterTurnRotation(textProperties);
+
+    const atlasValid = BitmapText._isValidAtlas(fontLookup.atlasDataByFont.get(fontLookup.fontChain.base));
+    const layout = BitmapText.#layoutGlyphs(chars, position_PhysPx, fontLookup, textProperties);
+
+    const result = {
+      glyphs: rotation === 0 ? layout.glyphs : BitmapText.#rotateGlyphs(layout.glyphs, anchor_PhysPx, rotation, clipRight_PhysPx),
+      clipRight: clipRight_PhysPx === Infinity || rotation !== 0 ? null : clipRight_PhysPx,
+      decorations: BitmapText.#decorationsFor(layout, prepared, fontProperties, textProperties, rotation),
+      status: BitmapText.#withFallbackChars(
+        BitmapText.#createAtlasStatus(atlasValid, layout.missingAtlasChars, layout.placeholdersUsed),
+        layout.fallbackChars)
+    };
+    if (truncation) {
+      result.truncation = {
+        isTruncated: truncation.isTruncated,
+        visibleCharCount: truncation.visibleCharCount
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Shared pre-flight of drawTextFromAtlas and layoutText: metrics lookup, missing
+   * glyph scan, max width truncation, and baseline / alignment / clip positioning.
+   * translation_PhysPx (respectTransform) shifts the start position, whole pixels only;
+   * fontLookups is the per-call map of drawTexts (see #lookUpFont).
+   *
+   * @private
+   * @returns {{status: Object}|{status: null, chars: string[], fontLookup: Object, fontMetrics: FontMetrics, position_PhysPx: {x: number, y: number}, clipRight_PhysPx: number, anchor_PhysPx: {x: number, y: number}, truncation: Object|null}}
+   *   status is set (and nothing else) when nothing can be drawn
+   */
+  static #prepareLayout(text, x_CssPx, y_CssPx, fontProperties, textProperties, translation_PhysPx = null, fontLookups = null) {
+    const fontLookup = BitmapText.#lookUpFont(fontProperties, fontLookups);
+    if (fontLookup.status) {
+      return { status: BitmapText.#copyStatus(fontLookup.status) };
+    }
+    const { fontMetrics, fontChain } = fontLookup;
+
+    // Split into grapheme clusters and resolve aliases per cluster upfront
+    // (plain-text fast path uses the regex alias pass, see CharacterSets.resolveCharacters)
+    let chars = CharacterSets.resolveCharacters(text);
+
+    const missingMetricsChars = BitmapText.#scanForMissingChars(chars, fontChain);
+
+    if (missingMetricsChars.size > 0) {
+      return {
+        status: createErrorStatus(StatusCode.PARTIAL_METRICS, {
+          missingChars: missingMetricsChars
+        })
+      };
+    }
+
+    const isVertical = textProperties.layoutMode === 'vertical';
+
+    // MAX WIDTH SUPPORT: replace chars with the ones that will actually be drawn
+    let truncation = null;
+    if (textProperties.maxWidth !== null && !isVertical) {
+      truncation = BitmapText.#applyOverflow(
+        chars, fontChain, textProperties);
+      if (truncation.missingChars) {
+        return {
+          status: createErrorStatus(StatusCode.PARTIAL_METRICS, {
+            missingChars: truncation.missingChars
+          })
+        };
+      }
+      chars = truncation.chars;
+    }
+
+    // BASELINE SUPPORT: Convert user's y from their chosen baseline to 'bottom' baseline
+    // Get baseline data from first character (baseline values are identical for all characters in a font)
+    // Use first actual character, or fallback to space character for baseline calculation
+    const firstChar = chars.find(c => fontMetrics.hasGlyph(c)) || ' ';
+    const characterMetricsForBaseline = fontMetrics.getCharacterMetrics(BitmapText.#metricsCharFor(firstChar));
+    // (vertical layout: y is the top of the column, cells use the 'bottom' baseline)
+    const baselineOffset_CssPx = characterMetricsForBaseline && !isVertical
+      ? BitmapText.#calculateBaselineOffsetToBottom(textProperties.textBaseline, characterMetricsForBaseline) * textProperties.pixelScale
+      : 0;
+
+    // ALIGNMENT SUPPORT: Convert user's x from their chosen alignment to 'left' alignment
+    // Measure text width to calculate alignment offset (measureText accounts for kerning if enabled)
+    // (vertical layout: alignment moves the column along y by its height)
+    let alignmentOffset_CssPx = 0;
+    if (textProperties.textAlign !== 'left') {
+      const measureResult = BitmapText.measureText(text, fontProperties, textProperties);
+      if (measureResult.status.code === 0 && measureResult.metrics) {
+        // Successfully measured text - calculate alignment offset
+        alignmentOffset_CssPx = BitmapText.#calculateAlignmentOffsetToLeft(
+          textProperties.textAlign,
+          isVertical ? measureResult.metrics.height : measureResult.metrics.width
+        );
+      } else {
+        // Failed to measure (missing glyphs, etc.) - default to left alignment (offset = 0)
+        // Text will still render but won't be aligned as requested
+        console.warn(`BitmapText: Failed to measure text for alignment '${textProperties.textAlign}', defaulting to left alignment`);
+      }
+    }
+
+    // Apply baseline and alignment offsets, then convert to physical pixels
+    const position_PhysPx = isVertical
+      ? {
+        x: x_CssPx * fontProperties.pixelDensity,
+        y: (y_CssPx + alignmentOffset_CssPx) * fontProperties.pixelDensity
+      }
+      : {
+        x: (x_CssPx + alignmentOffset_CssPx) * fontProperties.pixelDensity,
+        y: (y_CssPx + baselineOffset_CssPx) * fontProperties.pixelDensity
+      };
+    if (translation_PhysPx) {
+      position_PhysPx.x += translation_PhysPx.x;
+      position_PhysPx.y += translation_PhysPx.y;
+    }
+
+    // CLIP SUPPORT: first physical pixel column that must stay untouched
+    const clipRight_PhysPx = (truncation?.isTruncated && textProperties.overflow === 'clip')
+      ? Math.round(position_PhysPx.x) + Math.round(textProperties.maxWidth * fontProperties.pixelDensity)
+      : Infinity;
+
+    // ROTATION SUPPORT: whole-pixel point the laid-out glyphs are rotated around
+    const anchor_PhysPx = {
+      x: Math.round(x_CssPx * fontProperties.pixelDensity) + (translation_PhysPx?.x ?? 0),
+      y: Math.round(y_CssPx * fontProperties.pixelDensity) + (translation_PhysPx?.y ?? 0)
+    };
+
+    return { status: null, chars, fontLookup, fontMetrics, position_PhysPx, clipRight_PhysPx, anchor_PhysPx, truncation };
+  }
+
+  /**
+   * Font lookups of drawing: metrics (interpolated from size 9 below it), font chain
+   * and the atlas of each font of the chain (null for the base font below size 9: it is
+   * drawn as placeholders), plus the tinted atlases of #drawGlyph.
+   * drawTexts passes a per-call map so that its items in the same font chain share
+   * one lookup; without one (fontLookups null) they are made for this call only.
+   *
+   * @private
+   * @param {FontProperties} fontProperties - Base font configuration
+   * @param {Map<string, Object>|null} fontLookups - Lookups by #fontChainKey, filled on a miss
+   * @returns {{status: Object}|{status: null, fontMetrics: FontMetrics, fontChain: Object, atlasDataByFont: Map<Object, AtlasData|null>, tintedAtlasesByColor: Map<string, Map<Object, Object|null>>}}
+   *   status is set (and nothing else) when the font has no metrics
+   */
+  static #lookUpFont(fontProperties, fontLookups) {
+    const key = fontLookups && BitmapText.#fontChainKey(fontProperties);
+    const cached = fontLookups?.get(key);
+    if (cached) return cached;
+
+    const fontLookup = BitmapText.#lookUpFontUncached(fontProperties);
+    fontLookups?.set(key, fontLookup);
+    return fontLookup;
+  }
 
-        // Check if atlas has a glyph for this character (excluding spaces)
-        if (currentChar !== ' ') {
-          if (!currentAtlasValid || !currentAtlasData.hasPositioning(currentChar)) {
-            missingAtlasChars.add(currentChar);
-            placeholdersUsed = true;
+  // #lookUpFont without the per-call map
+  static #lookUpFontUncached(fontProperties) {
+    // Check FontMetrics availability first
+    let fontMetrics = FontMetricsStore.getFontMetrics(fontProperties);
+    let forceInvalidAtlas = false;
+
+    // For sizes < 9, always use interpolated metrics from 9 and force placeholder mode
+    if (BitmapText._shouldUseMinSize(fontProperties.fontSize)) {
+      const minSizeProps = BitmapText._createFontPropsAtMinSize(fontProperties);
+      const metricsAt9 = FontMetricsStore.getFontMetrics(minSizeProps);
+
+      if (!metricsAt9) {
+        // Size 9 metrics don't exist - can't render
+        return {
+          status: createErrorStatus(StatusCode.NO_METRICS, {
+            requiresMinSize: true,
+            requestedSize: fontProperties.fontSize,
+            minSize: BitmapText.MIN_RENDERABLE_SIZE
+          })
+        };
+      }
+
+      // Create interpolated metrics wrapper and force placeholder mode
+      fontMetrics = BitmapText.#createInterpolatedFontMetrics(metricsAt9, fontProperties.fontSize);
+      forceInvalidAtlas = true; // Always use placeholders for sizes < 9
+    } else if (!fontMetrics) {
+      // Normal size but metrics not found
+      return { status: createErrorStatus(StatusCode.NO_METRICS) };
+    }
+
+    const fontChain = BitmapText.#resolveFontChain(fontProperties, fontMetrics);
+
+    // Atlas of each font of the chain, looked up the first time the font is used (see #layoutGlyphs)
+    const atlasDataByFont = new Map([[fontChain.base, forceInvalidAtlas ? null : AtlasDataStore.getAtlasData(fontProperties)]]);
+
+    return { status: null, fontMetrics, fontChain, atlasDataByFont, tintedAtlasesByColor: new Map() };
+  }
+
+  /**
+   * Read the context transform for textProperties.respectTransform.
+   *
+   * Honoured transforms are pure translations, optionally with a uniform scale equal
+   * to pixelDensity: BitmapText already maps CSS pixels to physical pixels by that
+   * factor, so only the translation (e, f: physical pixels) has to be applied.
+   * Contexts without getTransform (e.g. canvas-mock) count as identity.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+   * @param {number} pixelDensity - fontProperties.pixelDensity
+   * @returns {{x: number, y: number}|null} Translation snapped to whole physical pixels,
+   *   or null when the transform can't be honoured
+   */
+  static #readContextTranslation_PhysPx(ctx, pixelDensity) {
+    if (typeof ctx.getTransform !== 'function') {
+      return { x: 0, y: 0 };
+    }
+    const { a, b, c, d, e, f } = ctx.getTransform();
+    const EPSILON = 1e-9;
+    const isUniformScale = Math.abs(b) < EPSILON && Math.abs(c) < EPSILON && Math.abs(a - d) < EPSILON;
+    const isHonouredScale = Math.abs(a - 1) < EPSILON || Math.abs(a - pixelDensity) < EPSILON;
+    if (!isUniformScale || !isHonouredScale) {
+      return null;
+    }
+    return { x: Math.round(e), y: Math.round(f) };
+  }
+
+  // Flag a status as "transform not honoured": TRANSFORM_IGNORED on success,
+  // otherwise the (more severe) status code is kept with transformIgnored: true
+  static #withTransformIgnored(status) {
+    const code = status.code === StatusCode.SUCCESS ? StatusCode.TRANSFORM_IGNORED : status.code;
+    return createErrorStatus(code, { ...status, code, transformIgnored: true });
+  }
+
+  /**
+   * Status of a draw / layout that got past the metrics checks: NO_ATLAS when the
+   * base font has no valid atlas, PARTIAL_ATLAS when glyphs are missing, else success
+   * @private
+   */
+  static #createAtlasStatus(atlasValid, missingAtlasChars, placeholdersUsed) {
+    if (!atlasValid) {
+      return createErrorStatus(StatusCode.NO_ATLAS, {
+        missingAtlasChars: missingAtlasChars.size > 0 ? missingAtlasChars : undefined,
+        placeholdersUsed: placeholdersUsed
+      });
+    }
+    if (missingAtlasChars.size > 0) {
+      return createErrorStatus(StatusCode.PARTIAL_ATLAS, {
+        missingAtlasChars: missingAtlasChars,
+        placeholdersUsed: placeholdersUsed
+      });
+    }
+    // Complete success
+    return SUCCESS_STATUS;
+  }
+
+  // ============================================
+  // ImageData Rendering API
+  // ============================================
+
+  /**
+   * Draw text straight into an RGBA pixel buffer (ImageData or any {width, height, data})
+   *
+   * Uses the same layout as drawTextFromAtlas (layoutText) and blits glyph pixels
+   * from the atlas into imageData.data with source-over alpha compositing, so no
+   * canvas implementation is needed. In Node, atlases loaded without a canvas
+   * factory keep their decoded pixels and need no canvas at all; image-element
+   * atlases (browser) are read back once through the canvas factory.
+   *
+   * COLOR: black (default) copies atlas pixels as-is, like drawTextFromAtlas'
+   * fast path; other colors keep each atlas pixel's alpha and replace its RGB
+   * (same result as the 'source-in' composite; a translucent color scales the alpha).
+   * Supported formats: '#RGB', '#RGBA', '#RRGGBB', '#RRGGBBAA', 'rgb()', 'rgba()'.
+   *
+   * OPACITY: textProperties.opacity scales the alpha of every blit, like the
+   * globalAlpha drawTextFromAtlas sets.
+   *
+   * DECORATIONS AND EFFECTS: drawn as in drawTextFromAtlas, with the same color formats.
+   *
+   * CLIPPING: pixels outside the buffer are skipped, and textProperties.maxWidth with
+   * overflow 'clip' trims glyphs exactly as drawTextFromAtlas does.
+   *
+   * @param {ImageData|{width: number, height: number, data: Uint8ClampedArray}} imageData - Target RGBA buffer
+   * @param {string} text - Text to render
+   * @param {number} x_CssPx - X position in CSS pixels (from the buffer origin)
+   * @param {number} y_CssPx - Y position in CSS pixels (from the buffer origin, textProperties.textBaseline)
+   * @param {FontProperties} fontProperties - Font configuration (including pixelDensity)
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @returns {{rendered: boolean, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean}, truncation?: {isTruncated: boolean, visibleCharCount: number}}}
+   *   Same result as drawTextFromAtlas
+   */
+  static drawTextToImageData(imageData, text, x_CssPx, y_CssPx, fontProperties, textProperties = null) {
+    textProperties = textProperties || new TextProperties();
+
+    const layout = BitmapText.layoutText(text, x_CssPx, y_CssPx, fontProperties, textProperties);
+    if (!layout.glyphs) {
+      return { rendered: false, status: layout.status };
+    }
+
+    const textColor = textProperties.textColor;
+    const rgb = BitmapText.#parseImageDataColor(BitmapText.#solidTextColor(textColor), 'textColor');
+    const tint = textColor === BitmapText.#DEFAULT_TEXT_COLOR ? null : rgb;
+    const clipRight_PhysPx = layout.clipRight ?? Infinity;
+    const opacity = textProperties.opacity;
+
+    // DECORATIONS: underlines / overlines go under the glyphs, line-throughs over them
+    const decorationRgb = textProperties.textDecorationColor !== null && layout.decorations.length > 0
+      ? BitmapText.#parseImageDataColor(textProperties.textDecorationColor, 'textDecorationColor')
+      : rgb;
+    const fillDecorations = overText => {
+      for (const decoration of layout.decorations) {
+        if ((decoration.line === 'line-through') !== overText) continue;
+        BitmapText.#blitToImageData(imageData, null, 0, 0, 0,
+          decoration.x, decoration.y, decoration.width, decoration.height, decorationRgb, 1, opacity);
+      }
+    };
+
+    // EFFECTS: glow, drop shadow and outline go under everything else
+    if (BitmapText.#hasTextEffects(textProperties)) {
+      BitmapText.#blitTextEffects(imageData, layout.glyphs, layout.decorations, fontProperties, textProperties, clipRight_PhysPx);
+    }
+    fillDecorations(false);
+    if (BitmapText.#isTextFill(textColor)) {
+      const rotation = BitmapText.#quarterTurnRotation(textProperties);
+      BitmapText.#blitFilledGlyphs(imageData, layout.glyphs, textColor, rotation, clipRight_PhysPx,
+        textProperties.pixelScale, opacity);
+    } else {
+      BitmapText.#blitGlyphs(imageData, layout.glyphs, rgb, tint, clipRight_PhysPx, textProperties.pixelScale, opacity);
+    }
+    fillDecorations(true);
+
+    const result = { rendered: true, status: layout.status };
+    if (layout.truncation) {
+      result.truncation = layout.truncation;
+    }
+    return result;
+  }
+
+  // Blit laid-out glyphs into imageData, shifted by -origin_PhysPx (placeholders are
+  // solid rgb rectangles, atlas pixels are tinted with tint unless it is null)
+  static #blitGlyphs(imageData, glyphs, rgb, tint, clipRight_PhysPx, pixelScale, opacity = 1, origin_PhysPx = { x: 0, y: 0 }) {
+    for (const glyph of glyphs) {
+      const destX = glyph.x - origin_PhysPx.x;
+      const destY = glyph.y - origin_PhysPx.y;
+      const drawWidth = Math.min(glyph.tightWidth, clipRight_PhysPx - glyph.x);
+      if (drawWidth <= 0) continue;
+
+      if (glyph.isPlaceholder) {
+        BitmapText.#blitToImageData(imageData, null, 0, 0, 0, destX, destY, drawWidth, glyph.tightHeight, rgb, 1, opacity);
+        continue;
+      }
+
+      const atlasPixels = BitmapText.#getAtlasPixels(glyph.atlasImage);
+      if (!atlasPixels) {
+        console.warn('BitmapText: Cannot read atlas pixels (no canvas factory for image-element atlases)');
+        continue;
+      }
+      BitmapText.#blitToImageData(imageData, atlasPixels.data, atlasPixels.width,
+        glyph.xInAtlas, glyph.yInAtlas, destX, destY, drawWidth, glyph.tightHeight, tint, pixelScale, opacity);
+    }
+  }
+
+  // drawTextToImageData counterpart of #drawFilledGlyphs: glyphs blitted black into a
+  // buffer around them, colored by #paintTextFill, then composited into imageData
+  static #blitFilledGlyphs(imageData, glyphs, textColor, rotation, clipRight_PhysPx, pixelScale, opacity) {
+    const box = BitmapText.#inkBounds_PhysPx(glyphs, [], clipRight_PhysPx);
+    if (!box) return;
+
+    const black = { r: 0, g: 0, b: 0 };
+    const ink = { width: box.width, height: box.height, data: new Uint8ClampedArray(box.width * box.height * 4) };
+    BitmapText.#blitGlyphs(ink, glyphs, black, black, clipRight_PhysPx, pixelScale, 1, box);
+    BitmapText.#paintTextFill(ink.data, box.width, BitmapText.#glyphsRelativeTo(glyphs, box), textColor, rotation);
+    BitmapText.#blitToImageData(imageData, ink.data, box.width, 0, 0, box.x, box.y, box.width, box.height, null, 1, opacity);
+  }
+
+  // drawTextToImageData counterpart of #drawTextEffects: the same ink mask and effect
+  // layers, built and composited in plain RGBA buffers
+  static #blitTextEffects(imageData, glyphs, decorations, fontProperties, textProperties, clipRight_PhysPx) {
+    const box = BitmapText.#textEffectsBox(glyphs, decorations, fontProperties, textProperties, clipRight_PhysPx);
+    if (!box) return;
+
+    const inkMask = () => {
+      const black = { r: 0, g: 0, b: 0 };
+      const ink = { width: box.width, height: box.height, data: new Uint8ClampedArray(box.width * box.height * 4) };
+      BitmapText.#blitGlyphs(ink, glyphs, black, black, clipRight_PhysPx, textProperties.pixelScale, 1, box);
+      for (const decoration of decorations) {
+        BitmapText.#blitToImageData(ink, null, 0, 0, 0,
+          decoration.x - box.x, decoration.y - box.y, decoration.width, decoration.height, black);
+      }
+      return ink.data;
+    };
+
+    const layers = BitmapText.#cachedTextEffectLayers(glyphs, decorations, box, clipRight_PhysPx, fontProperties, textProperties, inkMask);
+    for (const layer of layers) {
+      const destX_PhysPx = box.x + layer.offsetX;
+      const copyWidth_PhysPx = Math.min(box.width, clipRight_PhysPx - destX_PhysPx);
+      if (copyWidth_PhysPx > 0) {
+        BitmapText.#blitToImageData(imageData, layer.pixels, box.width, 0, 0,
+          destX_PhysPx, box.y + layer.offsetY, copyWidth_PhysPx, box.height,
+          BitmapText.#parseImageDataColor(layer.color, layer.colorProperty), 1, textProperties.opacity);
+      }
+    }
+  }
+
+  // #parseColor for drawTextToImageData: other formats draw black (see #parseColorOrBlack)
+  static #parseImageDataColor(color, propertyName) {
+    return BitmapText.#parseColorOrBlack(color, `${propertyName} for drawTextToImageData`);
+  }
+
+  // #parseColor, falling back to black with a warning the first time a color is seen
+  static #parseColorOrBlack(color, usage) {
+    const rgb = BitmapText.#parseColor(color);
+    if (rgb) return rgb;
+    if (!BitmapText.#unsupportedColorsWarned.has(color)) {
+      BitmapText.#unsupportedColorsWarned.add(color);
+      console.warn(`BitmapText: Unsupported color '${color}' (${usage}), using black`);
+    }
+    return { r: 0, g: 0, b: 0, a: 1 };
+  }
+
+  // Parse 'white', 'black', 'transparent', '#RGB', '#RGBA', '#RRGGBB', '#RRGGBBAA',
+  // 'rgb(r, g, b)' or 'rgba(r, g, b, a)' (also space-separated with '/ a', alpha as a
+  // number or percentage) into {r, g, b, a} with a from 0 to 1 (null for other formats).
+  // The same formats as canvas-mock's _parseColor, so both Node paths agree.
+  static #parseColor(color) {
+    const named = BitmapText.#NAMED_COLORS[color];
+    if (named) return { ...named };
+
+    let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color);
+    if (match) {
+      let hex = match[1];
+      if (hex.length <= 4) hex = hex.replace(/./g, digit => digit + digit);
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+      };
+    }
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*([\d.]+)(%?)\s*)?\)$/i.exec(color);
+    if (match) {
+      const alpha = match[4] === undefined ? 1 : parseFloat(match[4]) / (match[5] ? 100 : 1);
+      return {
+        r: Math.min(255, Math.round(parseFloat(match[1]))),
+        g: Math.min(255, Math.round(parseFloat(match[2]))),
+        b: Math.min(255, Math.round(parseFloat(match[3]))),
+        a: Math.min(1, alpha)
+      };
+    }
+    return null;
+  }
+
+  /**
+   * RGBA pixels of an atlas image: its own `data` when it carries decoded pixels
+   * (canvas-mock canvases, plain {width, height, data} atlases), otherwise read back
+   * once through the canvas factory and cached
+   * @private
+   * @returns {{width: number, data: Uint8ClampedArray}|null} null without a way to read pixels
+   */
+  static #getAtlasPixels(image) {
+    if (image.data && image.data.length === image.width * image.height * 4) {
+      return image;
+    }
+
+    let pixels = BitmapText.#atlasPixelsCache.get(image);
+    if (!pixels) {
+      const canvasFactory = BitmapText.getCanvasFactory();
+      if (!canvasFactory) return null;
+      const width = image.naturalWidth || image.width;
+      const height = image.naturalHeight || image.height;
+      const canvas = canvasFactory();
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      pixels = { width, data: ctx.getImageData(0, 0, width, height).data };
+      BitmapText.#atlasPixelsCache.set(image, pixels);
+    }
+    return pixels;
+  }
+
+  /**
+   * Source-over composite a width × height block into imageData at (destX, destY).
+   * With sourceData the block is copied from it (RGB replaced by `rgb` when given,
+   * alpha scaled by rgb.a and rounded, like a 'source-in' fill of a translucent color);
+   * with sourceData null it is a solid `rgb` rectangle. Every pixel's alpha is then
+   * multiplied by opacity (like globalAlpha). Parts outside imageData are skipped.
+   * With scale > 1 every source pixel covers scale × scale destination pixels
+   * (nearest-neighbour, textProperties.pixelScale).
+   * @private
+   */
+  static #blitToImageData(imageData, sourceData, sourceWidth, sourceX, sourceY, destX, destY, width, height, rgb, scale = 1, opacity = 1) {
+    const destData = imageData.data;
+    const destWidth = imageData.width;
+    const startX = Math.max(0, -destX);
+    const startY = Math.max(0, -destY);
+    const endX = Math.min(width, destWidth - destX);
+    const endY = Math.min(height, imageData.height - destY);
+
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        const destI = ((destY + y) * destWidth + destX + x) * 4;
+        let r = rgb?.r, g = rgb?.g, b = rgb?.b, srcA;
+        if (sourceData) {
+          const srcI = (Math.floor(sourceY + y / scale) * sourceWidth + Math.floor(sourceX + x / scale)) * 4;
+          let a = sourceData[srcI + 3];
+          if (a === 0) continue;
+          if (!rgb) {
+            r = sourceData[srcI];
+            g = sourceData[srcI + 1];
+            b = sourceData[srcI + 2];
+          } else if (rgb.a < 1) {
+            a = Math.round(a * rgb.a);
           }
+          srcA = a / 255 * opacity;
+        } else {
+          srcA = (rgb.a ?? 1) * opacity;
         }
 
-        // Draw using appropriate font (either real glyph or placeholder)
-        BitmapText.#drawCharacter(ctx,
-          currentChar,
-          position_PhysPx,
-          currentAtlasData,
-          currentFontMetrics,
-          textColor
-        );
+        if (srcA <= 0) continue;
+        if (srcA >= 1) {
+          destData[destI] = r;
+          destData[destI + 1] = g;
+          destData[destI + 2] = b;
+          destData[destI + 3] = 255;
+          continue;
+        }
+
+        // Straight (non-premultiplied) alpha source-over
+        const dstA = destData[destI + 3] / 255;
+        const outA = srcA + dstA * (1 - srcA);
+        destData[destI] = (r * srcA + destData[destI] * dstA * (1 - srcA)) / outA;
+        destData[destI + 1] = (g * srcA + destData[destI + 1] * dstA * (1 - srcA)) / outA;
+        destData[destI + 2] = (b * srcA + destData[destI + 2] * dstA * (1 - srcA)) / outA;
+        destData[destI + 3] = outA * 255;
+      }
+    }
+  }
+
+  // ============================================
+  // Sprite API
+  // ============================================
+
+  /**
+   * Render text once into a tight canvas, to drawImage it later (static labels)
+   *
+   * The canvas comes from the canvas factory and is just large enough for what
+   * drawTextFromAtlas would draw: glyphs, decorations and effects (outline, glow, drop
+   * shadow), clipped by maxWidth the same way. It is in PHYSICAL pixels, and the text's
+   * anchor (x_CssPx / y_CssPx of drawTextFromAtlas, i.e. the textAlign point on the
+   * textBaseline baseline) is at (originX_PhysPx, originY_PhysPx) in it.
+   *
+   * PLACEMENT: with an identity transform,
+   *   ctx.drawImage(sprite.canvas,
+   *     Math.round(x_CssPx * pixelDensity) - sprite.originX_PhysPx,
+   *     Math.round(y_CssPx * pixelDensity) - sprite.originY_PhysPx)
+   * covers the pixels drawTextFromAtlas(ctx, text, x_CssPx, y_CssPx, ...) would, as long
+   * as x_CssPx × pixelDensity and y_CssPx × pixelDensity are whole numbers (a direct draw
+   * rounds glyph positions from the unrounded anchor). On a transparent canvas the pixels
+   * are identical; over other content translucent pixels can differ by rounding, as the
+   * sprite's layers (effects, glyphs, decorations) are composited together first.
+   *
+   * CACHE: with spriteOptions.cache, canvases are shared by text, font (with its fallback
+   * chain) and TextProperties key until every call that returned one is matched by
+   * releaseSprite. Each call still returns its own result, sprite, status and truncation
+   * objects; only sprite.canvas is shared, and it belongs to the cache: draw from it,
+   * don't modify or resize it. Sprites are snapshots: later font loads / unloads don't
+   * change them, but calls after them render anew instead of sharing the older canvas.
+   * Only SUCCESS results are cached (placeholders, for instance, are rendered per call
+   * until the atlas is loaded).
+   *
+   * @param {string} text - Text to render
+   * @param {FontProperties} fontProperties - Font configuration (including pixelDensity)
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @param {Object} [spriteOptions] - Sprite options (optional)
+   * @param {boolean} [spriteOptions.cache=false] - Share the sprite through the sprite cache
+   * @returns {{sprite: {canvas: HTMLCanvasElement, width: number, height: number, originX_PhysPx: number, originY_PhysPx: number}|null, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean}, truncation?: {isTruncated: boolean, visibleCharCount: number}}}
+   *   sprite is null when nothing can be drawn (see status) or nothing is visible (e.g. only
+   *   spaces); status is the drawTextFromAtlas status
+   */
+  static renderToCanvas(text, fontProperties, textProperties = null, spriteOptions = {}) {
+    textProperties = textProperties || new TextProperties();
+    if (!spriteOptions.cache) {
+      return BitmapText.#renderSprite(text, fontProperties, textProperties);
+    }
+
+    // Metrics / atlases loaded or unloaded since an entry was rendered give a new key
+    const key = `${BitmapText.#storeVersion()}\0${BitmapText.#fontChainKey(fontProperties)}\0${textProperties.key}\0${text}`;
+    let entry = BitmapText.#spriteCache.get(key);
+    if (entry) {
+      entry.refCount++;
+      BitmapText.#spriteCacheStats.hits++;
+    } else {
+      BitmapText.#spriteCacheStats.misses++;
+      const result = BitmapText.#renderSprite(text, fontProperties, textProperties);
+      if (!result.sprite || result.status.code !== StatusCode.SUCCESS) {
+        return result;
+      }
+      entry = { key, result, refCount: 1 };
+      BitmapText.#spriteCache.set(key, entry);
+    }
+
+    // A fresh wrapper per call around the shared canvas
+    const { result } = entry;
+    const wrapper = { sprite: { ...result.sprite }, status: BitmapText.#copyStatus(result.status) };
+    if (result.truncation) {
+      wrapper.truncation = { ...result.truncation };
+    }
+    BitmapText.#spriteCacheEntries.set(wrapper.sprite, entry);
+    return wrapper;
+  }
+
+  /**
+   * Release a sprite returned by renderToCanvas with cache: true
+   *
+   * Each returned sprite can be released once. Once every call that returned the
+   * canvas has released its sprite, the entry leaves the cache; the canvas is left
+   * untouched and is freed by garbage collection when nothing references it anymore.
+   *
+   * @param {Object} sprite - result.sprite of renderToCanvas
+   * @returns {boolean} false if the sprite was not returned by the cache, was already
+   *   released or the cache was cleared since
+   */
+  static releaseSprite(sprite) {
+    const entry = BitmapText.#spriteCacheEntries.get(sprite);
+    if (!entry || BitmapText.#spriteCache.get(entry.key) !== entry) {
+      return false;
+    }
+    BitmapText.#spriteCacheEntries.delete(sprite);
+    entry.refCount--;
+    if (entry.refCount === 0) {
+      BitmapText.#spriteCache.delete(entry.key);
+    }
+    return true;
+  }
+
+  /**
+   * Sprite cache usage
+   * @returns {{entries: number, pixels: number, hits: number, misses: number}}
+   *   pixels: total canvas pixels of the cached sprites (4 bytes each)
+   */
+  static getSpriteCacheStats() {
+    let pixels = 0;
+    for (const { result } of BitmapText.#spriteCache.values()) {
+      pixels += result.sprite.width * result.sprite.height;
+    }
+    return { entries: BitmapText.#spriteCache.size, pixels, ...BitmapText.#spriteCacheStats };
+  }
+
+  /**
+   * Forget all cached sprites and reset the statistics (their canvases are left
+   * untouched for whoever still draws them; releaseSprite then returns false)
+   */
+  static clearSpriteCache() {
+    BitmapText.#spriteCache.clear();
+    BitmapText.#spriteCacheEntries = new WeakMap();
+    BitmapText.#spriteCacheStats = { hits: 0, misses: 0 };
+  }
+
+  // renderToCanvas without the cache
+  static #renderSprite(text, fontProperties, textProperties) {
+    const layout = BitmapText.layoutText(text, 0, 0, fontProperties, textProperties);
+    const result = { sprite: null, status: layout.status };
+    if (layout.truncation) {
+      result.truncation = layout.truncation;
+    }
+    const box = layout.glyphs ? BitmapText.#spriteBox_PhysPx(layout, fontProperties, textProperties) : null;
+    if (!box) {
+      return result;
+    }
+
+    const canvas = BitmapText.getCanvasFactory()();
+    canvas.width = box.width;
+    canvas.height = box.height;
+    BitmapText.#ensureColoredGlyphCanvas();
+    // Same draw with the anchor moved by whole pixels to (-box.x, -box.y), the way a
+    // respectTransform translation moves it
+    const drawResult = BitmapText.#drawTextWithIdentityTransform(
+      canvas.getContext('2d'), text, 0, 0, fontProperties, textProperties, { x: -box.x, y: -box.y });
+    result.status = drawResult.status;
+    result.sprite = { canvas, width: box.width, height: box.height, originX_PhysPx: -box.x, originY_PhysPx: -box.y };
+    return result;
+  }
+
+  // Whole-pixel box (relative to the anchor) of everything drawTextFromAtlas draws for a
+  // layout: ink, decorations and effects (outline / glow padding, shadow offset), clipped
+  // like the draw; null when nothing is visible
+  static #spriteBox_PhysPx(layout, fontProperties, textProperties) {
+    const clipRight_PhysPx = layout.clipRight ?? Infinity;
+    if (!BitmapText.#hasTextEffects(textProperties)) {
+      return BitmapText.#inkBounds_PhysPx(layout.glyphs, layout.decorations, clipRight_PhysPx);
+    }
+
+    const box = BitmapText.#textEffectsBox(layout.glyphs, layout.decorations, fontProperties, textProperties, clipRight_PhysPx);
+    if (!box) return null;
+    const { shadowX, shadowY } = BitmapText.#textEffectSizes_PhysPx(fontProperties, textProperties);
+    const left = Math.min(box.x, box.x + shadowX);
+    const top = Math.min(box.y, box.y + shadowY);
+    const right = Math.min(Math.max(box.x, box.x + shadowX) + box.width, clipRight_PhysPx);
+    const bottom = Math.max(box.y, box.y + shadowY) + box.height;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  // ============================================
+  // Paragraph Layout API
+  // ============================================
+
+  /**
+   * Measure a multi-line paragraph, wrapping lines to a maximum width
+   *
+   * LINE BREAKING:
+   * - An explicit '\n' always starts a new line
+   * - Lines wrap greedily at standard spaces (U+0020) when the next word would exceed maxWidth
+   * - NBSP (U+00A0) and the other Unicode spaces never break a line
+   * - The run of spaces at a wrap point is consumed (it belongs to neither line), and so
+   *   are trailing spaces that don't fit on the last line; other space runs are kept as is
+   * - Words wider than maxWidth are never split: they overflow on a line of their own
+   *
+   * Every line is measured with measureText, so line widths include kerning and
+   * font-invariant character redirects exactly as single-line rendering does.
+   * Wrap decisions only measure the words around each join (see #wrapParagraph).
+   *
+   * MAX WIDTH: textProperties.maxWidth (single-line truncation) plays no part in
+   * wrapping, lines wrap on their full width. It then truncates each line on its own,
+   * as drawTextBlock draws it: such a line's width / metrics are those of the truncated
+   * line, and it carries the measureText `truncation` object.
+   *
+   * LINE POSITIONS: each line's `y` is the offset in CSS pixels from the first line's
+   * baseline to its own baseline (line i is at i × lineHeight). The baseline itself
+   * is whatever textProperties.textBaseline selects.
+   *
+   * @param {string} text - Text to measure (may contain '\n')
+   * @param {FontProperties} fontProperties - Font configuration
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @param {Object} [blockOptions] - Paragraph layout options (optional)
+   * @param {number} [blockOptions.maxWidth=Infinity] - Maximum line width in CSS pixels
+   * @param {number} [blockOptions.lineHeight] - Distance between consecutive baselines in CSS pixels
+   *   (default: font bounding box height, rounded to whole CSS pixels)
+   * @returns {{metrics: {width: number, height: number, lineHeight: number, lines: Array<{text: string, width: number, y: number, metrics: Object, truncation?: Object}>}|null, status: {code: number, missingChars?: Set}}}
+   *   All numeric values in metrics are CSS pixels
+   */
+  static measureTextBlock(text, fontProperties, textProperties, blockOptions = {}) {
+    if (!textProperties) {
+      textProperties = new TextProperties();
+    }
+    const maxWidth_CssPx = blockOptions.maxWidth ?? Infinity;
+    const paragraphs = text.split('\n');
+
+    // Lines wrap on their untruncated width
+    const wrapProperties = textProperties.maxWidth === null ? textProperties : textProperties.withMaxWidth(null);
+
+    // Pre-flight: measure every paragraph as a single line. This reports ALL
+    // missing characters at once, and guarantees every later sub-measure succeeds.
+    const paragraphResults = paragraphs.map(paragraph =>
+      BitmapText.measureText(paragraph, fontProperties, wrapProperties));
+    const preflightStatus = combineStatuses(paragraphResults.map(result => result.status));
+    if (isCompleteFailure(preflightStatus)) {
+      return { metrics: null, status: preflightStatus };
+    }
+
+    // Default line height: font bounding box height, taken from the space character
+    // (always in the font-specific set) so that blank lines don't need a glyph.
+    // Rounded like the glyph cell height in GlyphFAB.js so lines sit on whole CSS pixels.
+    let lineHeight_CssPx = blockOptions.lineHeight;
+    if (lineHeight_CssPx === undefined) {
+      const spaceResult = BitmapText.measureText(' ', fontProperties, textProperties);
+      if (!spaceResult.metrics) {
+        return { metrics: null, status: spaceResult.status };
+      }
+      lineHeight_CssPx = Math.round(
+        spaceResult.metrics.fontBoundingBoxAscent + spaceResult.metrics.fontBoundingBoxDescent
+      );
+    }
+
+    const lineTexts = [];
+    const lineResults = [];
+    for (let p = 0; p < paragraphs.length; p++) {
+      // FAST PATH: whole paragraph fits on one line
+      if (paragraphResults[p].metrics.width <= maxWidth_CssPx) {
+        lineTexts.push(paragraphs[p]);
+        lineResults.push(wrapProperties === textProperties ? paragraphResults[p] : null);
+        continue;
+      }
+      for (const lineText of BitmapText.#wrapParagraph(paragraphs[p], maxWidth_CssPx, fontProperties, wrapProperties)) {
+        lineTexts.push(lineText);
+        lineResults.push(null);
+      }
+    }
+
+    // Measure the finished lines as they are drawn (truncated to textProperties.maxWidth)
+    const lines = [];
+    const statuses = [preflightStatus];
+    for (let i = 0; i < lineTexts.length; i++) {
+      const lineResult = lineResults[i] || BitmapText.measureText(lineTexts[i], fontProperties, textProperties);
+      statuses.push(lineResult.status);
+      if (!lineResult.metrics) {
+        // e.g. the font lacks '…' for overflow 'ellipsis'
+        return { metrics: null, status: combineStatuses(statuses) };
+      }
+      lines.push({
+        text: lineTexts[i],
+        width: lineResult.metrics.width,
+        y: i * lineHeight_CssPx,
+        metrics: lineResult.metrics,
+        ...(lineResult.truncation && { truncation: lineResult.truncation })
+      });
+    }
+
+    return {
+      metrics: {
+        width: Math.max(...lines.map(line => line.width)),
+        height: lines.length * lineHeight_CssPx,
+        lineHeight: lineHeight_CssPx,
+        lines
+      },
+      status: combineStatuses(statuses)  // success, possibly with fallbackChars
+    };
+  }
+
+  /**
+   * Greedy word wrap of one paragraph (no '\n') that is wider than maxWidth_CssPx
+   *
+   * The paragraph alternates words and runs of spaces (split(/( +)/) keeps the runs,
+   * so a leading or trailing run sits next to an empty word). A run is kept when the
+   * word after it fits on the line, otherwise it is dropped and the word starts a new
+   * line.
+   *
+   * INCREMENTAL WIDTHS: an advance only depends on its character and the next one, so
+   * the width of line + run + word is the line width with its last word re-measured
+   * together with the run and the new word:
+   *   width(line + run + word) = width(line) - width(lastWord) + width(lastWord + run + word)
+   * Paragraphs with tabs measure every candidate line whole, as tab stops depend on
+   * where the line starts.
+   *
+   * @private
+   * @returns {Array<string>} Line texts
+   */
+  static #wrapParagraph(paragraph, maxWidth_CssPx, fontProperties, textProperties) {
+    // Wrap probes bypass the measurement cache: one-off line prefixes would evict the
+    // strings it is meant to keep
+    const widthOf = text => BitmapText.#measureTextUncached(text, fontProperties, textProperties).metrics.width;
+    const hasTabs = paragraph.includes('\t');
+    const parts = paragraph.split(/( +)/);
+
+    const lines = [];
+    let line = parts[0];
+    let lastWord = parts[0];
+    let lineWidth_CssPx = widthOf(line);
+
+    for (let i = 1; i < parts.length; i += 2) {
+      const spaces = parts[i];
+      const word = parts[i + 1];
+      const candidateWidth_CssPx = hasTabs
+        ? widthOf(line + spaces + word)
+        : lineWidth_CssPx - widthOf(lastWord) + widthOf(lastWord + spaces + word);
+
+      if (candidateWidth_CssPx <= maxWidth_CssPx) {
+        line += spaces + word;
+        lineWidth_CssPx = candidateWidth_CssPx;
+      } else if (word.length > 0) {
+        // (a leading run followed by a too-wide word leaves no line behind)
+        if (line.length > 0) lines.push(line);
+        line = word;
+        lineWidth_CssPx = widthOf(word);
+      }
+      // A trailing run that doesn't fit is dropped: the line stays as it was
+      if (word.length > 0) lastWord = word;
+    }
+    lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draw a multi-line paragraph, wrapping lines to a maximum width
+   *
+   * Lays out the text with measureTextBlock, then draws each line with
+   * drawTextFromAtlas. (x_CssPx, y_CssPx) anchor the FIRST line exactly as
+   * they would for a single drawTextFromAtlas call:
+   * - textBaseline selects which baseline of the first line sits at y_CssPx;
+   *   each following line is lineHeight further down
+   * - textAlign is applied to each line individually around x_CssPx
+   * - with textProperties.rotation the whole block turns around (x_CssPx, y_CssPx)
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (transform will be temporarily reset)
+   * @param {string} text - Text to render (may contain '\n')
+   * @param {number} x_CssPx - X position in CSS pixels (absolute, from canvas origin)
+   * @param {number} y_CssPx - Y position of the first line in CSS pixels (absolute, from canvas origin)
+   * @param {FontProperties} fontProperties - Font configuration (including pixelDensity)
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @param {Object} [blockOptions] - Paragraph layout options, see measureTextBlock (optional)
+   * @returns {{rendered: boolean, metrics: Object|null, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean}}}
+   *   metrics is the measureTextBlock layout; status aggregates all per-line statuses
+   */
+  static drawTextBlock(ctx, text, x_CssPx, y_CssPx, fontProperties, textProperties = null, blockOptions = {}) {
+    textProperties = textProperties || new TextProperties();
+
+    const layout = BitmapText.measureTextBlock(text, fontProperties, textProperties, blockOptions);
+    if (!layout.metrics) {
+      return { rendered: false, metrics: null, status: layout.status };
+    }
+
+    // ROTATION: lines stack along the rotated block's own y axis
+    const rotation = BitmapText.#quarterTurnRotation(textProperties);
+
+    let rendered = false;
+    const lineStatuses = [];
+    for (const line of layout.metrics.lines) {
+      // Blank lines only take up vertical space
+      if (line.text.length === 0) continue;
+
+      const lineOffset_CssPx = BitmapText.#rotateOffset(0, line.y, rotation);
+      const lineResult = BitmapText.drawTextFromAtlas(
+        ctx, line.text, x_CssPx + lineOffset_CssPx.x, y_CssPx + lineOffset_CssPx.y, fontProperties, textProperties
+      );
+      rendered = rendered || lineResult.rendered;
+      lineStatuses.push(lineResult.status);
+    }
+
+    return {
+      rendered,
+      metrics: layout.metrics,
+      status: combineStatuses(lineStatuses)
+    };
+  }
+
+  // ============================================
+  // Rich Text API
+  // ============================================
+
+  /**
+   * Measure a sequence of styled runs laid out left to right on one line
+   *
+   * Each run is measured with its own font (measureText), runs are placed one
+   * after another without kerning across run boundaries. The combined metrics
+   * follow the measureText/TextMetrics shape:
+   * - width: sum of run widths
+   * - actualBoundingBoxLeft: first run's actualBoundingBoxLeft
+   * - actualBoundingBoxRight: start of last run + its actualBoundingBoxRight
+   * - ascent/descent values: the extremes across all runs
+   *
+   * @param {Array<{text: string, fontProperties: FontProperties, textProperties?: TextProperties}>} runs - Styled runs
+   * @returns {{metrics: {width: number, actualBoundingBoxLeft: number, actualBoundingBoxRight: number, actualBoundingBoxAscent: number, actualBoundingBoxDescent: number, fontBoundingBoxAscent: number, fontBoundingBoxDescent: number, runs: Array<{x: number, metrics: Object}>}|null, status: {code: number, missingChars?: Set}}}
+   *   All numeric values in metrics are CSS pixels; runs[i].x is the run's offset from the start of the line
+   */
+  static measureRichText(runs) {
+    const runResults = runs.map(run =>
+      BitmapText.measureText(run.text, run.fontProperties, run.textProperties));
+    const status = combineStatuses(runResults.map(result => result.status));
+    if (isCompleteFailure(status)) {
+      return { metrics: null, status };
+    }
+
+    const metrics = {
+      width: 0,
+      actualBoundingBoxLeft: runResults.length > 0 ? runResults[0].metrics.actualBoundingBoxLeft : 0,
+      actualBoundingBoxRight: 0,
+      actualBoundingBoxAscent: 0,
+      actualBoundingBoxDescent: 0,
+      fontBoundingBoxAscent: 0,
+      fontBoundingBoxDescent: 0,
+      runs: []
+    };
+
+    for (const { metrics: runMetrics } of runResults) {
+      metrics.runs.push({ x: metrics.width, metrics: runMetrics });
+      metrics.actualBoundingBoxRight = metrics.width + runMetrics.actualBoundingBoxRight;
+      metrics.width += runMetrics.width;
+      metrics.actualBoundingBoxAscent = Math.max(metrics.actualBoundingBoxAscent, runMetrics.actualBoundingBoxAscent);
+      metrics.actualBoundingBoxDescent = Math.min(metrics.actualBoundingBoxDescent, runMetrics.actualBoundingBoxDescent);
+      metrics.fontBoundingBoxAscent = Math.max(metrics.fontBoundingBoxAscent, runMetrics.fontBoundingBoxAscent);
+      metrics.fontBoundingBoxDescent = Math.max(metrics.fontBoundingBoxDescent, runMetrics.fontBoundingBoxDescent);
+    }
+
+    return { metrics, status };
+  }
+
+  /**
+   * Draw a sequence of styled runs (mixed fonts, sizes and colours) in one call
+   *
+   * BASELINE: y_CssPx is the shared ALPHABETIC baseline. Every run is drawn with
+   * textBaseline 'alphabetic', so each font's own fontBoundingBoxDescent (from its
+   * FontMetrics) lifts its glyphs to the same baseline regardless of size.
+   * Each run's textBaseline and textAlign are therefore ignored; the line as a
+   * whole is aligned with richTextOptions.textAlign.
+   *
+   * Nothing is drawn if any run is missing metrics (same contract as drawTextFromAtlas).
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (transform will be temporarily reset)
+   * @param {Array<{text: string, fontProperties: FontProperties, textProperties?: TextProperties}>} runs - Styled runs
+   * @param {number} x_CssPx - X position in CSS pixels (absolute, from canvas origin)
+   * @param {number} y_CssPx - Alphabetic baseline position in CSS pixels (absolute, from canvas origin)
+   * @param {Object} [richTextOptions] - Line options (optional)
+   * @param {string} [richTextOptions.textAlign='left'] - Alignment of the whole line ('left', 'center', 'right')
+   * @returns {{rendered: boolean, metrics: Object|null, status: {code: number, missingChars?: Set, missingAtlasChars?: Set, placeholdersUsed?: boolean}}}
+   *   metrics is the measureRichText result; status aggregates all per-run statuses
+   */
+  static drawRichText(ctx, runs, x_CssPx, y_CssPx, richTextOptions = {}) {
+    const measureResult = BitmapText.measureRichText(runs);
+    if (!measureResult.metrics) {
+      return { rendered: false, metrics: null, status: measureResult.status };
+    }
+
+    const metrics = measureResult.metrics;
+    const alignmentOffset_CssPx = BitmapText.#calculateAlignmentOffsetToLeft(
+      richTextOptions.textAlign ?? 'left', metrics.width);
+
+    let rendered = false;
+    const runStatuses = [];
+    for (let i = 0; i < runs.length; i++) {
+      const run = runs[i];
+      if (run.text.length === 0) continue;
+
+      const runTextProperties = new TextProperties({
+        ...(run.textProperties || new TextProperties()).toObject(),
+        textBaseline: 'alphabetic',
+        textAlign: 'left'
+      });
+      const runResult = BitmapText.drawTextFromAtlas(
+        ctx, run.text, x_CssPx + alignmentOffset_CssPx + metrics.runs[i].x, y_CssPx,
+        run.fontProperties, runTextProperties
+      );
+      rendered = rendered || runResult.rendered;
+      runStatuses.push(runResult.status);
+    }
+
+    return { rendered, metrics, status: combineStatuses(runStatuses) };
+  }
+
+  // ============================================
+  // Caret & Hit Testing API
+  // ============================================
+
+  /**
+   * Get the caret x position at every character boundary of a single line of text
+   *
+   * positions[i] is where a caret placed before the i-th character is drawn, and
+   * positions[chars.length] is the end of the text. Positions are cumulative advances
+   * computed exactly as measureText / drawTextFromAtlas lay text out: kerning,
+   * font-invariant character redirects, tabs and letter/word spacing included.
+   *
+   * COORDINATES: CSS pixels relative to the x passed to drawTextFromAtlas, so they
+   * include the textAlign offset (e.g. negative values for 'right' aligned text).
+   *
+   * INDICES count characters as drawTextFromAtlas sees them: grapheme clusters after
+   * emoji aliasing (the same unit as truncation.visibleCharCount). textProperties.maxWidth
+   * only affects alignment; positions always describe the untruncated text.
+   *
+   * @param {string} text - Single line of text
+   * @param {FontProperties} fontProperties - Font configuration
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @returns {{positions: Array<number>|null, status: {code: number, missingChars?: Set}}}
+   *   positions is null when the text can't be measured (see status)
+   */
+  static getCaretPositions(text, fontProperties, textProperties) {
+    if (!textProperties) {
+      textProperties = new TextProperties();
+    }
+
+    const sizeSnap = BitmapText.#snapFontSize(fontProperties, textProperties);
+    if (sizeSnap) {
+      return BitmapText.#withSnappedSize(BitmapText.getCaretPositions(text, sizeSnap.fontProperties, textProperties), sizeSnap);
+    }
+
+    // measureText validates metrics / glyphs and gives the width used for alignment
+    const measureResult = BitmapText.measureText(text, fontProperties, textProperties);
+    if (!measureResult.metrics) {
+      return { positions: null, status: measureResult.status };
+    }
+
+    const fontMetrics = BitmapText.#getLayoutFontMetrics(fontProperties);
+    const fontChain = BitmapText.#resolveFontChain(fontProperties, fontMetrics);
+    const chars = CharacterSets.resolveCharacters(text);
+
+    const penX_CssPx = BitmapText.#computePenPositions(chars, fontChain, textProperties);
+    const alignmentOffset_CssPx = textProperties.textAlign === 'left' ? 0 :
+      BitmapText.#calculateAlignmentOffsetToLeft(textProperties.textAlign, measureResult.metrics.width);
+
+    return {
+      positions: penX_CssPx.map(x_CssPx => x_CssPx + alignmentOffset_CssPx),
+      status: measureResult.status
+    };
+  }
+
+  /**
+   * Find the character boundary nearest to an x position in a single line of text
+   *
+   * The character whose advance span contains x is the one "hit"; side tells which
+   * half of it was hit, and index is the boundary (caret index) on that side.
+   * x left of the text hits the left side of the first character, x right of the
+   * text hits the right side of the last one.
+   *
+   * @param {string} text - Single line of text
+   * @param {number} x_CssPx - X in CSS pixels relative to the x passed to drawTextFromAtlas
+   * @param {FontProperties} fontProperties - Font configuration
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @returns {{hit: {index: number, charIndex: number|null, side: 'left'|'right'}|null, status: {code: number, missingChars?: Set}}}
+   *   index: nearest caret index (0..chars.length), charIndex: character that was hit
+   *   (null for empty text); hit is null when the text can't be measured
+   */
+  static hitTest(text, x_CssPx, fontProperties, textProperties) {
+    const { positions, status } = BitmapText.getCaretPositions(text, fontProperties, textProperties);
+    if (!positions) {
+      return { hit: null, status };
+    }
+
+    const charCount = positions.length - 1;
+    if (charCount === 0) {
+      return { hit: { index: 0, charIndex: null, side: 'left' }, status };
+    }
+
+    let charIndex = 0;
+    while (charIndex < charCount - 1 && x_CssPx >= positions[charIndex + 1]) {
+      charIndex++;
+    }
+    const midpoint_CssPx = (positions[charIndex] + positions[charIndex + 1]) / 2;
+    const side = x_CssPx < midpoint_CssPx ? 'left' : 'right';
+
+    return {
+      hit: { index: side === 'left' ? charIndex : charIndex + 1, charIndex, side },
+      status
+    };
+  }
+
+  /**
+   * Get the rectangles covering characters [start, end) of a single line of text
+   *
+   * Horizontal extents come from getCaretPositions (the kerned layout drawTextFromAtlas
+   * uses); vertically the rectangles span the font bounding box (fontBoundingBoxAscent
+   * above to fontBoundingBoxDescent below the alphabetic baseline), so highlights of
+   * different ranges line up regardless of the glyphs they cover.
+   *
+   * COORDINATES: CSS pixels from the canvas origin, for text drawn with
+   * drawTextFromAtlas(ctx, text, x_CssPx, y_CssPx, fontProperties, textProperties).
+   * Edges are snapped to whole physical pixels so fills don't blur or leave seams.
+   * Indices are caret indices as in getCaretPositions; the range is clamped to the text.
+   * With textProperties.rotation the rectangle is rotated around (x_CssPx, y_CssPx).
+   *
+   * @param {string} text - Single line of text
+   * @param {number} start - First selected character index (inclusive)
+   * @param {number} end - Index after the last selected character (exclusive)
+   * @param {number} x_CssPx - X position the text is drawn at (CSS pixels)
+   * @param {number} y_CssPx - Y position the text is drawn at (CSS pixels, textProperties.textBaseline)
+   * @param {FontProperties} fontProperties - Font configuration
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @returns {{rects: Array<{x: number, y: number, width: number, height: number}>|null, status: {code: number, missingChars?: Set}}}
+   *   rects is empty for an empty range, null when the text can't be measured
+   */
+  static getSelectionRects(text, start, end, x_CssPx, y_CssPx, fontProperties, textProperties) {
+    if (!textProperties) {
+      textProperties = new TextProperties();
+    }
+
+    const sizeSnap = BitmapText.#snapFontSize(fontProperties, textProperties);
+    if (sizeSnap) {
+      return BitmapText.#withSnappedSize(
+        BitmapText.getSelectionRects(text, start, end, x_CssPx, y_CssPx, sizeSnap.fontProperties, textProperties), sizeSnap);
+    }
+    const { positions, status } = BitmapText.getCaretPositions(text, fontProperties, textProperties);
+    if (!positions) {
+      return { rects: null, status };
+    }
+
+    const charCount = positions.length - 1;
+    const startIndex = Math.max(0, Math.min(start, charCount));
+    const endIndex = Math.max(0, Math.min(end, charCount));
+    if (startIndex >= endIndex) {
+      return { rects: [], status };
+    }
+
+    // Same baseline source as drawTextFromAtlas (baseline values are identical for all characters)
+    const fontMetrics = BitmapText.#getLayoutFontMetrics(fontProperties);
+    const chars = CharacterSets.resolveCharacters(text);
+    const baselineChar = chars.find(c => fontMetrics.hasGlyph(c)) || ' ';
+    const characterMetrics = fontMetrics.getCharacterMetrics(BitmapText.#metricsCharFor(baselineChar));
+    const pixelScale = textProperties.pixelScale;
+    const bottom_CssPx = y_CssPx + BitmapText.#calculateBaselineOffsetToBottom(textProperties.textBaseline, characterMetrics) * pixelScale;
+    const top_CssPx = bottom_CssPx - (characterMetrics.fontBoundingBoxAscent + characterMetrics.fontBoundingBoxDescent) * pixelScale;
+
+    const pixelDensity = fontProperties.pixelDensity;
+    const snap = value_CssPx => Math.round(value_CssPx * pixelDensity) / pixelDensity;
+    const left_CssPx = snap(x_CssPx + positions[startIndex]);
+    const right_CssPx = snap(x_CssPx + positions[endIndex]);
+    const snappedTop_CssPx = snap(top_CssPx);
+
+    // ROTATION: turn the rectangle around the text anchor like drawTextFromAtlas does
+    const rect = BitmapText.#rotateRect(
+      left_CssPx, snappedTop_CssPx, right_CssPx - left_CssPx, snap(bottom_CssPx) - snappedTop_CssPx,
+      snap(x_CssPx), snap(y_CssPx), BitmapText.#quarterTurnRotation(textProperties));
+
+    return { rects: [rect], status };
+  }
+
+  /**
+   * Paint the selection rectangles of characters [start, end) (see getSelectionRects)
+   *
+   * Call this BEFORE drawTextFromAtlas with the same text, position and properties so
+   * the highlight sits behind the glyphs. Like drawTextFromAtlas, context transforms
+   * are ignored (unless textProperties.respectTransform, with the same rules) and
+   * rectangles are filled on whole physical pixels.
+   *
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (transform will be temporarily reset)
+   * @param {string} text - Single line of text
+   * @param {number} start - First selected character index (inclusive)
+   * @param {number} end - Index after the last selected character (exclusive)
+   * @param {number} x_CssPx - X position the text is drawn at (CSS pixels)
+   * @param {number} y_CssPx - Y position the text is drawn at (CSS pixels, textProperties.textBaseline)
+   * @param {FontProperties} fontProperties - Font configuration
+   * @param {TextProperties} [textProperties] - Text rendering configuration (optional)
+   * @param {string} [highlightColor='#B4D5FE'] - CSS color of the highlight
+   * @returns {{rects: Array<{x: number, y: number, width: number, height: number}>|null, status: {code: number, missingChars?: Set}}}
+   *   Same result as getSelectionRects; nothing is painted when rects is null or empty
+   */
+  static drawSelection(ctx, text, start, end, x_CssPx, y_CssPx, fontProperties, textProperties, highlightColor = BitmapText.#DEFAULT_HIGHLIGHT_COLOR) {
+    const result = BitmapText.getSelectionRects(text, start, end, x_CssPx, y_CssPx, fontProperties, textProperties);
+    if (!result.rects || result.rects.length === 0) {
+      return result;
+    }
 
-        // Calculate advancement using current font's metrics
-        position_PhysPx.x += BitmapText.#calculateCharacterAdvancement_PhysPx(
-          currentFontMetrics, currentFontProps, currentChar, nextChar, textProperties);
+    const pixelDensity = fontProperties.pixelDensity;
+    let translation_PhysPx = { x: 0, y: 0 };
+    if (textProperties?.respectTransform) {
+      translation_PhysPx = BitmapText.#readContextTranslation_PhysPx(ctx, pixelDensity);
+      if (translation_PhysPx === null) {
+        translation_PhysPx = { x: 0, y: 0 };
+        result.status = BitmapText.#withTransformIgnored(result.status);
       }
     }
 
-    // Determine status code
-    let statusCode;
-    if (!atlasValid) {
-      statusCode = StatusCode.NO_ATLAS;
-    } else if (missingAtlasChars.size > 0) {
-      statusCode = StatusCode.PARTIAL_ATLAS;
-    } else {
-      // Complete success
-      ctx.restore();  // Restore original transform
-      return {
-        rendered: true,
-        status: SUCCESS_STATUS
-      };
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = highlightColor;
+    for (const rect of result.rects) {
+      ctx.fillRect(
+        Math.round(rect.x * pixelDensity) + translation_PhysPx.x,
+        Math.round(rect.y * pixelDensity) + translation_PhysPx.y,
+        Math.round(rect.width * pixelDensity),
+        Math.round(rect.height * pixelDensity)
+      );
     }
+    ctx.restore();
 
-    // Return detailed status for non-success cases
-    ctx.restore();  // Restore original transform
-    return {
-      rendered: true,
-      status: createErrorStatus(statusCode, {
-        missingAtlasChars: missingAtlasChars.size > 0 ? missingAtlasChars : undefined,
-        placeholdersUsed: placeholdersUsed
-      })
-    };
+    return result;
   }
 
   // ============================================
@@ -663,15 +2442,18 @@ class BitmapText {
   // ============================================
 
   /**
-   * Pre-create and pre-fetch the font-invariant font's properties and metrics.
-   * Handles size<9 interpolation when the invariant font isn't directly available
-   * at the requested size. Shared by measureText and drawTextFromAtlas.
+   * Pre-fetch the fonts that can draw the characters of a text ("font chain"):
+   * the font-invariant font, the base font and fontProperties.fallbacks in order.
+   * Fonts without loaded metrics are left out. Handles size<9 interpolation like
+   * the base font. Shared by measureText, drawTextFromAtlas and the caret helpers;
+   * #fontForChar picks the font of each character.
    *
    * @param {FontProperties} fontProperties - Caller's font properties
-   * @returns {{invariantFontProps: FontProperties, invariantFontMetrics: (FontMetrics|null), hasInvariantFont: boolean}}
+   * @param {FontMetrics} fontMetrics - Base font metrics (possibly interpolated)
+   * @returns {{base: {fontProperties: FontProperties, fontMetrics: FontMetrics}, invariant: ({fontProperties: FontProperties, fontMetrics: FontMetrics}|null), fallbacks: Array<{fontProperties: FontProperties, fontMetrics: FontMetrics}>}}
    * @private
    */
-  static #resolveInvariantFont(fontProperties) {
+  static #resolveFontChain(fontProperties, fontMetrics) {
     // Pre-create font-invariant font properties (avoids per-character allocation
     // in the hot rendering loop). Invariant font is always normal/normal.
     const invariantFontProps = new FontProperties(
@@ -682,90 +2464,323 @@ class BitmapText {
       fontProperties.fontSize
     );
 
-    let invariantFontMetrics = FontMetricsStore.getFontMetrics(invariantFontProps);
-
-    // If invariant font not found and size < 9, try interpolating from size 9
-    if (!invariantFontMetrics && BitmapText._shouldUseMinSize(fontProperties.fontSize)) {
-      const invariantMinSizeProps = BitmapText._createFontPropsAtMinSize(invariantFontProps);
-      const invariantMetricsAt9 = FontMetricsStore.getFontMetrics(invariantMinSizeProps);
-      if (invariantMetricsAt9) {
-        invariantFontMetrics = BitmapText.#createInterpolatedFontMetrics(invariantMetricsAt9, fontProperties.fontSize);
+    // FontMetricsStore.getFontMetrics returns `undefined` when the font isn't
+    // in the bundle (e.g. invariant font set covers sizes 9–72 while the regular
+    // font set goes to 96; sizes 73+ have no invariant entry), so chain entries
+    // are only created for fonts whose metrics were actually found.
+    const invariantFontMetrics = BitmapText.#getLayoutFontMetrics(invariantFontProps);
+    const fallbacks = [];
+    for (const fallbackFontProps of fontProperties.fallbacks || []) {
+      const fallbackFontMetrics = BitmapText.#getLayoutFontMetrics(fallbackFontProps);
+      if (fallbackFontMetrics) {
+        fallbacks.push({ fontProperties: fallbackFontProps, fontMetrics: fallbackFontMetrics });
       }
     }
 
-    // FontMetricsStore.getFontMetrics returns `undefined` when the font isn't
-    // in the bundle (e.g. invariant font set covers sizes 9–72 while the regular
-    // font set goes to 96; sizes 73+ have no invariant entry). The auto-redirect
-    // path that branches on this flag dereferences the metrics, so it has to be
-    // a real truthy check, not `!== null` (which lets undefined slip through).
-    const hasInvariantFont = invariantFontMetrics != null;
+    return {
+      base: { fontProperties, fontMetrics },
+      invariant: invariantFontMetrics ? { fontProperties: invariantFontProps, fontMetrics: invariantFontMetrics } : null,
+      fallbacks
+    };
+  }
+
+  /**
+   * Font of the chain that draws a character: font-invariant characters use
+   * BitmapTextInvariant when it has them, other characters the base font, and
+   * characters the base font lacks the first fallback that has them.
+   * Spaces and tabs always use the base font (their advance comes from it).
+   *
+   * @private
+   * @param {string} char - Already-resolved character (caller must resolve aliases first)
+   * @param {Object} fontChain - Fonts from #resolveFontChain
+   * @returns {{fontProperties: FontProperties, fontMetrics: FontMetrics}|null} Chain entry, or null if no font has the glyph
+   */
+  static #fontForChar(char, fontChain) {
+    if (CharacterSets.isSpaceCharacter(char)) return fontChain.base;
+    if (fontChain.invariant && BitmapText.#isInvariantCharacter(char) && fontChain.invariant.fontMetrics.hasGlyph(char)) {
+      return fontChain.invariant;
+    }
+    if (fontChain.base.fontMetrics.hasGlyph(char)) return fontChain.base;
+    for (const fallback of fontChain.fallbacks) {
+      if (fallback.fontMetrics.hasGlyph(char)) return fallback;
+    }
+    return null;
+  }
+
+  /**
+   * Characters of an already-resolved character array that fallback fonts draw,
+   * reported as status.fallbackChars
+   * @private
+   * @returns {Map<string, Set<string>>|null} Fallback font idString → its characters,
+   *   null when every character comes from the base or font-invariant font
+   */
+  static #collectFallbackChars(chars, fontChain) {
+    if (fontChain.fallbacks.length === 0) return null;
+    let fallbackChars = null;
+    for (const char of chars) {
+      const font = BitmapText.#fontForChar(char, fontChain);
+      if (!font || font === fontChain.base || font === fontChain.invariant) continue;
+      fallbackChars = fallbackChars || new Map();
+      const fontId = font.fontProperties.idString;
+      if (!fallbackChars.has(fontId)) fallbackChars.set(fontId, new Set());
+      fallbackChars.get(fontId).add(char);
+    }
+    return fallbackChars;
+  }
 
-    return { invariantFontProps, invariantFontMetrics, hasInvariantFont };
+  // Add status.fallbackChars (when any character came from a fallback font)
+  static #withFallbackChars(status, fallbackChars) {
+    if (!fallbackChars) return status;
+    return createErrorStatus(status.code, { ...status, fallbackChars });
   }
 
   /**
-   * Scan an already-resolved character array for glyphs missing from the
-   * appropriate font (base or font-invariant). Shared by measureText and
-   * drawTextFromAtlas for pre-flight validation.
+   * Scan an already-resolved character array for glyphs that no font of the
+   * chain has. Shared by measureText and drawTextFromAtlas for pre-flight validation.
    *
    * @param {string[]} chars - Already-resolved character array (emoji→symbol applied)
-   * @param {FontMetrics} fontMetrics - Base font metrics
-   * @param {FontMetrics|null} invariantFontMetrics - Invariant font metrics (may be null)
-   * @param {boolean} hasInvariantFont - Whether the invariant font is available
-   * @returns {Set<string>} Set of characters missing from their target font
+   * @param {Object} fontChain - Fonts from #resolveFontChain
+   * @returns {Set<string>} Set of characters missing from every font of the chain
    * @private
    */
-  static #scanForMissingChars(chars, fontMetrics, invariantFontMetrics, hasInvariantFont) {
+  static #scanForMissingChars(chars, fontChain) {
     const missingChars = new Set();
     for (const char of chars) {
-      if (char !== ' ') {
-        const isInvariant = hasInvariantFont && BitmapText.#isInvariantCharacter(char);
-        const checkFontMetrics = isInvariant ? invariantFontMetrics : fontMetrics;
-        if (!checkFontMetrics.hasGlyph(char)) {
-          missingChars.add(char);
-        }
+      if (!BitmapText.#fontForChar(char, fontChain)) {
+        missingChars.add(char);
       }
     }
     return missingChars;
   }
 
+  /**
+   * Apply textProperties.maxWidth / overflow to an already-resolved character array.
+   * Shared by measureText and drawTextFromAtlas so both see the same characters.
+   *
+   * OVERFLOW MODES:
+   * - 'ellipsis': keeps the longest prefix that fits together with a trailing '…'
+   *   (spaces right before the '…' are dropped)
+   * - 'clip': keeps every character; the caller clamps measurements / pixels at maxWidth
+   *
+   * Widths are summed with calculateAdvancement_CssPx, so the kerning pair between
+   * the last kept character and '…' is exactly the one measureText would apply.
+   *
+   * @param {string[]} chars - Already-resolved character array (emoji→symbol applied)
+   * @param {Object} fontChain - Fonts from #resolveFontChain
+   * @param {TextProperties} textProperties - Text rendering configuration (maxWidth !== null)
+   * @returns {{chars: string[], isTruncated: boolean, visibleCharCount: number, missingChars?: Set}}
+   *   visibleCharCount counts resolved characters (at least partially) visible;
+   *   missingChars is set when no font of the chain has a '…' glyph
+   * @private
+   */
+  static #applyOverflow(chars, fontChain, textProperties) {
+    const maxWidth_CssPx = textProperties.maxWidth;
+    const advanceOf = BitmapText.#createAdvanceFunction(fontChain, textProperties);
+
+    // Pen position before each character (penX[chars.length] is the full width)
+    const penX_CssPx = BitmapText.#computePenPositions(chars, fontChain, textProperties);
+
+    if (penX_CssPx[chars.length] <= maxWidth_CssPx) {
+      return { chars, isTruncated: false, visibleCharCount: chars.length };
+    }
+
+    if (textProperties.overflow !== 'ellipsis') {
+      // 'clip': a character is visible if its pen position is left of the clip edge
+      let visibleCharCount = 0;
+      while (visibleCharCount < chars.length && penX_CssPx[visibleCharCount] < maxWidth_CssPx) {
+        visibleCharCount++;
+      }
+      return { chars, isTruncated: true, visibleCharCount };
+    }
+
+    const ellipsis = BitmapText.#ELLIPSIS_CHAR;
+    if (!BitmapText.#fontForChar(ellipsis, fontChain)) {
+      return { chars, isTruncated: true, visibleCharCount: 0, missingChars: new Set([ellipsis]) };
+    }
+
+    // Width of chars[0..k) + '…' = pen position after the last kept char (tabs at
+    // their positional advance) with its kerning against chars[k] swapped for its
+    // kerning against '…', + the advance of '…' itself
+    const ellipsisAdvance_CssPx = advanceOf(ellipsis, undefined);
+    let keep = 0;
+    for (let k = 1; k < chars.length; k++) {
+      const kerningDelta_CssPx = advanceOf(chars[k - 1], ellipsis) - advanceOf(chars[k - 1], chars[k]);
+      const width_CssPx = penX_CssPx[k] + kerningDelta_CssPx + ellipsisAdvance_CssPx;
+      if (width_CssPx > maxWidth_CssPx) break;
+      keep = k;
+    }
+    while (keep > 0 && CharacterSets.isSpaceCharacter(chars[keep - 1])) {
+      keep--;
+    }
+
+    return { chars: [...chars.slice(0, keep), ellipsis], isTruncated: true, visibleCharCount: keep };
+  }
+
+  /**
+   * Create a (char, nextChar) => advance function for an already-resolved character
+   * array: each character is measured with calculateAdvancement_CssPx against the
+   * font of the chain that will draw it (see #fontForChar).
+   *
+   * @private
+   * @returns {function(string, string|undefined): number} Advance in CSS pixels
+   */
+  static #createAdvanceFunction(fontChain, textProperties) {
+    return (char, nextChar) => {
+      const font = BitmapText.#fontForChar(char, fontChain);
+      return BitmapText.calculateAdvancement_CssPx(font.fontMetrics, font.fontProperties, char, nextChar, textProperties);
+    };
+  }
+
+  /**
+   * Pen position before each character of an already-resolved character array,
+   * as measureText / drawTextFromAtlas advance it (kerning, font chain
+   * switches, tabs and spacing included).
+   *
+   * @private
+   * @returns {Array<number>} chars.length + 1 positions in CSS pixels; the last one is the full width
+   */
+  static #computePenPositions(chars, fontChain, textProperties) {
+    const advanceOf = BitmapText.#createAdvanceFunction(fontChain, textProperties);
+    const tabAdvances_CssPx = BitmapText.#computeTabAdvances(chars, fontChain, textProperties);
+
+    const penX_CssPx = [0];
+    for (let i = 0; i < chars.length; i++) {
+      penX_CssPx.push(penX_CssPx[i] + (tabAdvances_CssPx?.[i] ?? advanceOf(chars[i], chars[i + 1])));
+    }
+    return penX_CssPx;
+  }
+
+  /**
+   * Lay out the tabs of an already-resolved character array.
+   *
+   * A tab advances the pen to the first tab stop strictly right of the pen:
+   * textProperties.tabStops first, then default left-aligned stops every
+   * textProperties.tabWidth CSS pixels (default: DEFAULT_TAB_SIZE space advances).
+   * The text following a tab, up to the next tab or the end ("segment"), is placed
+   * according to the stop's alignment:
+   * - 'left': segment starts at the stop
+   * - 'right': segment ends at the stop
+   * - 'center': segment is centered on the stop
+   * - 'decimal': the segment's first decimalChar starts at the stop
+   *   (segments without one are right-aligned)
+   * If the segment doesn't fit before the stop the tab collapses to zero width.
+   *
+   * Segment widths are summed with calculateAdvancement_CssPx (including the kerning
+   * pairs the draw loop applies), and tab advances are rounded like every other
+   * advance, so columns line up to the same physical pixel in every browser.
+   *
+   * @private
+   * @returns {Array<number>|null} Sparse array: advance in CSS pixels at each tab index,
+   *   or null when the text has no tabs
+   */
+  static #computeTabAdvances(chars, fontChain, textProperties) {
+    if (!chars.includes('\t')) return null;
+
+    const advanceOf = BitmapText.#createAdvanceFunction(fontChain, textProperties);
+    const fontMetrics = fontChain.base.fontMetrics;
+    const tabWidth_CssPx = BitmapText.#defaultTabWidth_CssPx(fontMetrics, textProperties);
+    const tabStops = textProperties.tabStops || [];
+    const tabAdvances_CssPx = new Array(chars.length);
+
+    let penX_CssPx = 0;
+    for (let i = 0; i < chars.length; i++) {
+      if (chars[i] !== '\t') {
+        penX_CssPx += advanceOf(chars[i], chars[i + 1]);
+        continue;
+      }
+
+      const stop = tabStops.find(tabStop => tabStop.position > penX_CssPx);
+      let stopX_CssPx;
+      let alignedWidth_CssPx = 0;
+      if (stop) {
+        stopX_CssPx = stop.position;
+        if (stop.align !== 'left') {
+          // Width of the segment, and of the part before the decimal character
+          let segmentWidth_CssPx = 0;
+          let beforeDecimal_CssPx = null;
+          for (let j = i + 1; j < chars.length && chars[j] !== '\t'; j++) {
+            if (beforeDecimal_CssPx === null && chars[j] === stop.decimalChar) {
+              beforeDecimal_CssPx = segmentWidth_CssPx;
+            }
+            segmentWidth_CssPx += advanceOf(chars[j], chars[j + 1]);
+          }
+          if (stop.align === 'center') {
+            alignedWidth_CssPx = segmentWidth_CssPx / 2;
+          } else if (stop.align === 'decimal' && beforeDecimal_CssPx !== null) {
+            alignedWidth_CssPx = beforeDecimal_CssPx;
+          } else {
+            alignedWidth_CssPx = segmentWidth_CssPx;
+          }
+        }
+      } else if (tabWidth_CssPx > 0) {
+        stopX_CssPx = (Math.floor(penX_CssPx / tabWidth_CssPx) + 1) * tabWidth_CssPx;
+      } else {
+        stopX_CssPx = penX_CssPx;
+      }
+
+      let advance_CssPx = Math.max(0, stopX_CssPx - alignedWidth_CssPx - penX_CssPx);
+      if (!fontMetrics.isInterpolatedMetrics) {
+        advance_CssPx = Math.round(advance_CssPx);
+      }
+      tabAdvances_CssPx[i] = advance_CssPx;
+      penX_CssPx += advance_CssPx;
+    }
+    return tabAdvances_CssPx;
+  }
+
+  // Default tab stop interval: textProperties.tabWidth, or DEFAULT_TAB_SIZE (scaled) space advances
+  static #defaultTabWidth_CssPx(fontMetrics, textProperties) {
+    return textProperties.tabWidth ??
+      BitmapText.DEFAULT_TAB_SIZE * BitmapText.#spaceAdvancement_CssPx(fontMetrics) * textProperties.pixelScale;
+  }
+
   // Get the advancement of the i-th character i.e. needed AFTER the i-th character
   // so that the i+1-th character is drawn at the right place
   // This depends on both the advancement specified by the glyph of the i-th character
   // AND by the kerning correction depending on the pair of the i-th and i+1-th characters
+  // AND by textProperties.letterSpacing / wordSpacing
+  // AND by textProperties.pixelScale (glyph advance and kerning only, not spacing)
 
   static calculateAdvancement_CssPx(fontMetrics, fontProperties, char, nextChar, textProperties, characterMetrics = null) {
     if (!textProperties) {
       textProperties = new TextProperties();
     }
-    if (!characterMetrics) {
-      characterMetrics = fontMetrics.getCharacterMetrics(char);
-    }
     let x_CssPx = 0;
 
-    // LIMITATION: Only handles standard space (U+0020), not other Unicode space characters
+    // Handle Unicode spaces first (NBSP, thin, em, figure, ...) -----
+    // They have no glyph and no metrics of their own: the advance is
+    // synthesized from the font's space / digit / period metrics or the em size
+    const unicodeSpace = CharacterSets.UNICODE_SPACES[char];
+    if (unicodeSpace !== undefined) {
+      if (unicodeSpace.em !== undefined) {
+        x_CssPx += fontProperties.fontSize * unicodeSpace.em;
+      } else if (unicodeSpace.like === ' ') {
+        x_CssPx += BitmapText.#spaceAdvancement_CssPx(fontMetrics);
+      } else {
+        // A font subset without the '0' / '.' falls back to the space advance
+        const likeMetrics = fontMetrics.getCharacterMetrics(unicodeSpace.like);
+        x_CssPx += likeMetrics ? likeMetrics.width : BitmapText.#spaceAdvancement_CssPx(fontMetrics);
+      }
+    }
+    // Tab on its own (no pen position): one default tab interval. Text layout
+    // replaces this with the position-dependent advance from #computeTabAdvances
+    else if (char === '\t') {
+      x_CssPx += BitmapText.#defaultTabWidth_CssPx(fontMetrics, textProperties);
+    }
+    else {
+      if (!characterMetrics) {
+        characterMetrics = fontMetrics.getCharacterMetrics(char);
+      }
 
-    // Handle space first ------------------------------------------
-    // You could add the space advancement as we got it from the browser
-    // (remember that the space doesn't have the tightCanvasBox)
-    // but since at small sizes we meddle with kerning quite a bit, we want
-    // to also meddle with this to try to make the width of text
-    // similar to what the browser paints normally.
-    // console.log(characterMetrics.width + " " + x_CSS_Px);
-    // deal with the size of the " " character
-    if (char === " ") {
-      const spaceAdvancementOverrideForSmallSizesInPx_CssPx = fontMetrics.getSpaceAdvancementOverride();
-      if (spaceAdvancementOverrideForSmallSizesInPx_CssPx !== null) {
-        x_CssPx += spaceAdvancementOverrideForSmallSizesInPx_CssPx;
+      // Handle space ------------------------------------------------
+      if (char === " ") {
+        x_CssPx += BitmapText.#spaceAdvancement_CssPx(fontMetrics, characterMetrics);
       }
+      // Non-space characters
       else {
         x_CssPx += characterMetrics.width;
       }
     }
-    // Non-space characters
-    else {
-      x_CssPx += characterMetrics.width;
-    }
 
     // Apply kerning correction
     let kerningCorrection = BitmapText.#getKerningCorrection(fontMetrics, char, nextChar, textProperties);
@@ -778,11 +2793,47 @@ class BitmapText {
 
     // For interpolated metrics (sizes < 9), preserve float precision for linear scaling
     // For normal metrics (sizes ≥ 9), round to integers for crisp pixel-aligned rendering
-    if (fontMetrics.isInterpolatedMetrics) {
-      return x_CssPx;  // Float positioning for placeholder rectangles
-    } else {
-      return Math.round(x_CssPx);  // Integer positioning for crisp atlas glyphs
+    if (!fontMetrics.isInterpolatedMetrics) {
+      x_CssPx = Math.round(x_CssPx);  // Integer positioning for crisp atlas glyphs
+    }
+
+    // PIXEL SCALE: glyphs are drawn pixelScale times larger, so their (rounded) advances
+    // are too. A lone tab already is a whole default tab interval (see #defaultTabWidth_CssPx)
+    if (textProperties.pixelScale !== 1 && char !== '\t') {
+      x_CssPx *= textProperties.pixelScale;
+    }
+
+    // Letter / word spacing is added AFTER rounding: it is already snapped to whole
+    // physical pixels, and rounding it to whole CSS pixels would lose that at pixelDensity > 1
+    if (textProperties.letterSpacing !== 0 || textProperties.wordSpacing !== 0) {
+      x_CssPx += BitmapText.#extraSpacing_CssPx(fontProperties, char, textProperties);
+    }
+    return x_CssPx;
+  }
+
+  // letterSpacing after every character, plus wordSpacing after word separators
+  // (U+0020 and NBSP, as in CSS), each snapped to whole physical pixels
+  static #extraSpacing_CssPx(fontProperties, char, textProperties) {
+    const pixelDensity = fontProperties.pixelDensity;
+    let spacing_CssPx = Math.round(textProperties.letterSpacing * pixelDensity) / pixelDensity;
+    if (char === ' ' || char === '\u00A0') {
+      spacing_CssPx += Math.round(textProperties.wordSpacing * pixelDensity) / pixelDensity;
+    }
+    return spacing_CssPx;
+  }
+
+  // Advancement of the standard space (U+0020), before kerning
+  static #spaceAdvancement_CssPx(fontMetrics, spaceMetrics = fontMetrics.getCharacterMetrics(' ')) {
+    // You could add the space advancement as we got it from the browser
+    // (remember that the space doesn't have the tightCanvasBox)
+    // but since at small sizes we meddle with kerning quite a bit, we want
+    // to also meddle with this to try to make the width of text
+    // similar to what the browser paints normally.
+    const spaceAdvancementOverrideForSmallSizesInPx_CssPx = fontMetrics.getSpaceAdvancementOverride();
+    if (spaceAdvancementOverrideForSmallSizesInPx_CssPx !== null) {
+      return spaceAdvancementOverrideForSmallSizesInPx_CssPx;
     }
+    return spaceMetrics.width;
   }
 
   static #getKerningCorrection(fontMetrics, char, nextChar, textProperties) {
@@ -933,13 +2984,13 @@ class BitmapText {
    * @param {string} text - Full text string to render
    * @param {Array<string>} chars - Text split into characters
    * @param {Object} startPosition_PhysPx - Starting position in physical pixels {x, y}
-   * @param {AtlasData} atlasData - Atlas data containing glyphs
-   * @param {FontMetrics} fontMetrics - Font metrics for measurements
-   * @param {FontProperties} fontProperties - Font configuration
+   * @param {Object} fontLookup - Base font lookup from #lookUpFont
    * @param {TextProperties} textProperties - Text rendering configuration
-   * @returns {{missingAtlasChars: Set, placeholdersUsed: boolean}} Status information
+   * @param {number} clipRight_PhysPx - No pixel is drawn at or right of this column (Infinity = no clip)
+   * @returns {{missingAtlasChars: Set, placeholdersUsed: boolean, fallbackChars?: Map}} Status information
    */
-  static #drawColoredTextBatched(ctx, text, chars, startPosition_PhysPx, atlasData, fontMetrics, fontProperties, textProperties) {
+  static #drawColoredTextBatched(ctx, text, chars, startPosition_PhysPx, fontLookup, textProperties, clipRight_PhysPx) {
+    const fontProperties = fontLookup.fontChain.base.fontProperties;
     const missingAtlasChars = new Set();
     let placeholdersUsed = false;
 
@@ -953,16 +3004,6 @@ class BitmapText {
 
     const metrics = measureResult.metrics;
 
-    const { invariantFontProps, invariantFontMetrics, hasInvariantFont } =
-      BitmapText.#resolveInvariantFont(fontProperties);
-    const invariantAtlasData = invariantFontMetrics ?
-      AtlasDataStore.getAtlasData(invariantFontProps) : null;
-
-    // Track current font to minimize lookups
-    let currentFontProps = fontProperties;
-    let currentFontMetrics = fontMetrics;
-    let currentAtlasData = atlasData;
-
     // Calculate scratch canvas dimensions in physical pixels
     // CRITICAL: Use FONT bounding box (not actual text bounding box)
     // This ensures we have room for ALL characters in the font, not just those in this text
@@ -984,179 +3025,720 @@ class BitmapText {
     const visualWidth_CssPx = metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight;
     const textWidth_PhysPx = Math.ceil(visualWidth_CssPx * fontProperties.pixelDensity);
 
-    // HEIGHT DIMENSION ROUNDING: MUST match GlyphFAB.js calculation EXACTLY
-    // CRITICAL: GlyphFAB.js (lines 247-252) uses Math.round on CSS pixels, then multiplies by pixelDensity
-    // The dy offsets in atlas were calculated based on THIS EXACT canvas height
-    const fontBoundingBoxHeight_CssPx = Math.round(
-      metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent
-    );
-    const textHeight_PhysPx = fontBoundingBoxHeight_CssPx * fontProperties.pixelDensity;
+    // HEIGHT DIMENSION ROUNDING: MUST match GlyphFAB.js calculation EXACTLY
+    // CRITICAL: GlyphFAB.js (lines 247-252) uses Math.round on CSS pixels, then multiplies by pixelDensity
+    // The dy offsets in atlas were calculated based on THIS EXACT canvas height
+    const fontBoundingBoxHeight_CssPx = Math.round(
+      metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent
+    );
+    const textHeight_PhysPx = fontBoundingBoxHeight_CssPx * fontProperties.pixelDensity;
+
+    // Pre-round position offset values for consistent positioning throughout
+    // CRITICAL: These values are used both for positioning glyphs inside scratch canvas
+    // and for positioning the final scratch canvas copy to main canvas
+    // Using the SAME rounded values prevents 1-pixel misalignment from float rounding discrepancies
+    const actualBoundingBoxLeft_PhysPx = Math.round(metrics.actualBoundingBoxLeft * fontProperties.pixelDensity);
+
+    // CRITICAL: Baseline position must match GlyphFAB.js (GlyphFAB.js:288)
+    // GlyphFAB positions baseline at "canvas.height / pixelDensity - 1" in CSS pixels
+    // In physical pixels: baseline_y = canvas.height - pixelDensity
+    // The dy offsets in atlas are calculated relative to THIS baseline position
+    // Missing this offset causes descender clipping (bottom row of j, y, g, p, q cut off)
+    const baselineY_PhysPx = textHeight_PhysPx - fontProperties.pixelDensity;
+
+    // Safety check: ensure dimensions are reasonable
+    if (textWidth_PhysPx <= 0 || textHeight_PhysPx <= 0 || textWidth_PhysPx > 32000 || textHeight_PhysPx > 32000) {
+      console.warn(`BitmapText: Invalid scratch canvas dimensions (${textWidth_PhysPx}x${textHeight_PhysPx}), falling back`);
+      return { missingAtlasChars, placeholdersUsed };
+    }
+
+    // Step 2: Setup scratch canvas sized for entire text block
+    BitmapText.#coloredGlyphCanvas.width = textWidth_PhysPx;
+    BitmapText.#coloredGlyphCanvas.height = textHeight_PhysPx;
+    BitmapText.#coloredGlyphCtx.clearRect(0, 0, textWidth_PhysPx, textHeight_PhysPx);
+
+    // Step 3: Draw ALL glyphs to scratch canvas in their original black form
+    // Position relative to scratch canvas origin (not main canvas)
+    const position_PhysPx = {
+      // Horizontal: Start at actualBoundingBoxLeft to account for glyphs that protrude left (e.g., italic 'f')
+      // CRITICAL: Use pre-rounded value (line 950) for consistency with final copy (line 1017+)
+      x: actualBoundingBoxLeft_PhysPx,
+      // Vertical: Position baseline to match GlyphFAB.js rendering (GlyphFAB.js:288)
+      // Baseline is at "canvas.height / pixelDensity - 1" in CSS pixels
+      // which equals "canvas.height - pixelDensity" in physical pixels
+      // NOT at canvas bottom, but one pixel-row above it
+      // Glyphs draw upward/downward from here using their dy offsets from atlas
+      // CRITICAL: Must match glyph building baseline or dy offsets will be wrong (descenders clip)
+      y: baselineY_PhysPx
+    };
+
+    // Lay the glyphs out relative to the scratch canvas origin and draw them black
+    // (placeholders included: source-in below colors them like real glyphs)
+    const layout = BitmapText.#layoutGlyphs(chars, position_PhysPx, fontLookup, textProperties);
+    for (const glyph of layout.glyphs) {
+      BitmapText.#drawGlyph(BitmapText.#coloredGlyphCtx, glyph, BitmapText.#DEFAULT_TEXT_COLOR, Infinity);
+    }
+
+    // Step 4: Apply color transformation ONCE to entire text
+    // This is the key optimization - only ONE composite operation instead of N
+    BitmapText.#applyTextColor(BitmapText.#coloredGlyphCtx, textWidth_PhysPx, textHeight_PhysPx,
+      layout.glyphs, textProperties.textColor, 0);
+
+    // Step 5: Copy entire colored text block to main canvas ONCE
+    // POSITIONING GEOMETRY:
+    // - Main canvas: startPosition_PhysPx.y is at the bottom baseline (textBaseline='bottom')
+    // - Scratch canvas: baseline is at y = baselineY_PhysPx (textHeight - pixelDensity, NOT at canvas bottom)
+    // - To align baselines: scratch canvas top = startPosition_PhysPx.y - baselineY_PhysPx
+    // - Horizontal: account for actualBoundingBoxLeft offset (glyphs that protrude left)
+    // CRITICAL: Use baselineY_PhysPx (line 957) not textHeight_PhysPx to account for baseline offset
+    // CLIP: trim the copied block so nothing lands at or right of clipRight_PhysPx
+    const destX_PhysPx = Math.round(startPosition_PhysPx.x) - actualBoundingBoxLeft_PhysPx;
+    const copyWidth_PhysPx = Math.min(textWidth_PhysPx, clipRight_PhysPx - destX_PhysPx);
+    if (copyWidth_PhysPx > 0) {
+      ctx.drawImage(
+        BitmapText.#coloredGlyphCanvas,
+        0, 0,
+        copyWidth_PhysPx, textHeight_PhysPx,
+        destX_PhysPx,
+        Math.round(startPosition_PhysPx.y) - baselineY_PhysPx,
+        copyWidth_PhysPx, textHeight_PhysPx
+      );
+    }
+
+    return { missingAtlasChars: layout.missingAtlasChars, placeholdersUsed: layout.placeholdersUsed, fallbackChars: layout.fallbackChars };
+  }
+
+  /**
+   * Lay out the drawable glyphs of an already-resolved (and truncated) character
+   * array starting at origin_PhysPx (pen position on the 'bottom' baseline).
+   * Single source of glyph positions for drawTextFromAtlas, the colored batch
+   * path and layoutText (see layoutText for the glyph record fields).
+   *
+   * Characters whose font has no valid atlas become placeholder rectangles;
+   * characters missing from a valid atlas produce no glyph. Both are reported
+   * in missingAtlasChars.
+   *
+   * @private
+   * @param {string[]} chars - Already-resolved character array
+   * @param {{x: number, y: number}} origin_PhysPx - Pen start position in physical pixels
+   * @param {Object} fontLookup - Base font lookup from #lookUpFont (a base font drawn as
+   *   placeholders, sizes < 9, has a null atlas)
+   * @param {TextProperties} textProperties - Text rendering configuration
+   * @returns {{glyphs: Array<Object>, missingAtlasChars: Set<string>, placeholdersUsed: boolean, fallbackChars: Map<string, Set<string>>|null}}
+   */
+  static #layoutGlyphs(chars, origin_PhysPx, fontLookup, textProperties) {
+    const { fontChain, atlasDataByFont } = fontLookup;
+    const { fontProperties, fontMetrics } = fontChain.base;
+
+    // VERTICAL LAYOUT: origin_PhysPx is the column axis and top, each character
+    // gets a cell of its own (see #verticalCell_CssPx)
+    const isVertical = textProperties.layoutMode === 'vertical';
+    let cellTop_PhysPx = origin_PhysPx.y;
+    const pixelScale = textProperties.pixelScale;
+
+    // TAB SUPPORT: tab advances depend on pen position, so they are laid out upfront
+    const tabAdvances_CssPx = isVertical ? null : BitmapText.#computeTabAdvances(
+      chars, fontChain, textProperties);
+
+    // Track current font to minimize redundant lookups
+    let currentFont = fontChain.base;
+    let currentFontProps = fontProperties;
+    let currentFontMetrics = fontMetrics;
+    let currentAtlasData = atlasDataByFont.get(currentFont);
+    let currentAtlasValid = BitmapText._isValidAtlas(currentAtlasData);
+
+    const glyphs = [];
+    const missingAtlasChars = new Set();
+    let placeholdersUsed = false;
+    const pen_PhysPx = { x: origin_PhysPx.x, y: origin_PhysPx.y };
+
+    // Note: chars array is already resolved (emojis→symbols) by CharacterSets.resolveCharacters
+    for (let i = 0; i < chars.length; i++) {
+      const currentChar = chars[i];
+      const nextChar = chars[i + 1];
+
+      // Switch font ONLY if needed (avoids redundant lookups)
+      const font = BitmapText.#fontForChar(currentChar, fontChain);
+      if (font !== currentFont) {
+        if (!atlasDataByFont.has(font)) {
+          atlasDataByFont.set(font, AtlasDataStore.getAtlasData(font.fontProperties));
+        }
+        currentFont = font;
+        currentFontProps = font.fontProperties;
+        currentFontMetrics = font.fontMetrics;
+        currentAtlasData = atlasDataByFont.get(font);
+        currentAtlasValid = BitmapText._isValidAtlas(currentAtlasData);
+      }
+
+      // Vertical cells: centre the character on the axis, 'bottom' baseline at the cell bottom
+      let cell = null;
+      if (isVertical) {
+        cell = BitmapText.#verticalCell_CssPx(currentFontMetrics, currentFontProps, currentChar, textProperties);
+        pen_PhysPx.x = origin_PhysPx.x - cell.width * fontProperties.pixelDensity / 2;
+        pen_PhysPx.y = cellTop_PhysPx + cell.height * fontProperties.pixelDensity;
+      }
+
+      // Spaces and tabs only move the pen
+      if (!CharacterSets.isSpaceCharacter(currentChar)) {
+        if (!currentAtlasValid) {
+          // No atlas but metrics exist: simplified placeholder rectangle
+          missingAtlasChars.add(currentChar);
+          placeholdersUsed = true;
+          const placeholder = BitmapText.#layoutPlaceholderGlyph(currentChar, i, pen_PhysPx, currentFontMetrics, currentFontProps, pixelScale);
+          if (placeholder) glyphs.push(placeholder);
+        } else if (!currentAtlasData.hasPositioning(currentChar)) {
+          missingAtlasChars.add(currentChar);
+          placeholdersUsed = true;
+        } else {
+          const ap = currentAtlasData.atlasPositioning;
+          // PIXEL SCALE: offsets from the pen and sizes grow by whole multiples
+          const dx = ap._dx[currentChar] * pixelScale;
+          const dy = ap._dy[currentChar] * pixelScale;
+          glyphs.push({
+            char: currentChar,
+            charIndex: i,
+            fontId: currentFontProps.idString,
+            // Round coordinates at draw stage for crisp, pixel-aligned rendering
+            // Position tracking uses floats to avoid accumulation errors, but final
+            // draw coordinates must be integers to prevent subpixel antialiasing
+            // see https://stackoverflow.com/a/6061102
+            x: Math.round(pen_PhysPx.x + dx),
+            y: Math.round(pen_PhysPx.y + dy),
+            tightWidth: ap._tightWidth[currentChar] * pixelScale,
+            tightHeight: ap._tightHeight[currentChar] * pixelScale,
+            xInAtlas: ap._xInAtlas[currentChar],
+            yInAtlas: ap._yInAtlas[currentChar],
+            widthInAtlas: ap._tightWidth[currentChar],
+            heightInAtlas: ap._tightHeight[currentChar],
+            dx,
+            dy,
+            penX: pen_PhysPx.x,
+            penY: pen_PhysPx.y,
+            atlasImage: currentAtlasData.atlasImage.image,
+            isPlaceholder: false
+          });
+        }
+      }
+
+      if (isVertical) {
+        cellTop_PhysPx += cell.step * fontProperties.pixelDensity;
+        continue;
+      }
+
+      // Calculate advancement using current font's metrics (tabs were laid out upfront)
+      pen_PhysPx.x += tabAdvances_CssPx?.[i] !== undefined
+        ? tabAdvances_CssPx[i] * fontProperties.pixelDensity
+        : BitmapText.#calculateCharacterAdvancement_PhysPx(
+          currentFontMetrics, currentFontProps, currentChar, nextChar, textProperties);
+    }
+
+    return {
+      glyphs,
+      missingAtlasChars,
+      placeholdersUsed,
+      fallbackChars: BitmapText.#collectFallbackChars(chars, fontChain),
+      penEndX_PhysPx: pen_PhysPx.x
+    };
+  }
+
+  /**
+   * Lay out textProperties.textDecoration lines for laid-out horizontal text, as
+   * rectangles on whole physical pixels (unrotated, already clipped at clipRight_PhysPx).
+   *
+   * GEOMETRY (from the base font's space metrics, relative to the alphabetic baseline
+   * fontBoundingBoxDescent above the pen's 'bottom' baseline):
+   * - thickness: fontSize / 16 physical pixels at pixelDensity (at least 1)
+   * - underline: top a third of fontBoundingBoxDescent below the baseline
+   * - line-through: centred 0.35 × fontBoundingBoxAscent above the baseline
+   * - overline: top at the font bounding box top (fontBoundingBoxAscent above the baseline)
+   * Offsets and thickness are computed unscaled, then multiplied by pixelScale.
+   * Lines span the advance width of the text (pen start to pen end).
+   *
+   * SKIP INK (textProperties.textDecorationSkipInk): underlines and overlines are cut
+   * one line thickness either side of every glyph rectangle that crosses them.
+   *
+   * @private
+   * @param {{glyphs: Array<Object>, penEndX_PhysPx: number}} layout - #layoutGlyphs result
+   * @param {{x: number, y: number}} origin_PhysPx - Pen start position passed to #layoutGlyphs
+   * @returns {Array<{line: string, x: number, y: number, width: number, height: number, color: string}>}
+   */
+  static #layoutDecorations(layout, origin_PhysPx, fontProperties, fontMetrics, textProperties, clipRight_PhysPx) {
+    const pixelDensity = fontProperties.pixelDensity;
+    const pixelScale = textProperties.pixelScale;
+    const spaceMetrics = fontMetrics.getCharacterMetrics(' ');
+    const color = textProperties.textDecorationColor ?? BitmapText.#solidTextColor(textProperties.textColor);
+
+    const thickness_PhysPx = Math.max(1, Math.round(fontProperties.fontSize * pixelDensity * BitmapText.#DECORATION_THICKNESS_EM));
+    const ascent_PhysPx = spaceMetrics.fontBoundingBoxAscent * pixelDensity;
+    const descent_PhysPx = spaceMetrics.fontBoundingBoxDescent * pixelDensity;
+    const baselineY_PhysPx = Math.round(origin_PhysPx.y) - Math.round(descent_PhysPx) * pixelScale;
+    const lineTopOffsets_PhysPx = {
+      'underline': Math.max(1, Math.round(descent_PhysPx / 3)),
+      'line-through': -Math.round(ascent_PhysPx * 0.35) - Math.floor(thickness_PhysPx / 2),
+      'overline': -Math.round(ascent_PhysPx)
+    };
+
+    const startX_PhysPx = Math.round(origin_PhysPx.x);
+    const endX_PhysPx = Math.min(Math.round(layout.penEndX_PhysPx), clipRight_PhysPx);
+    const height_PhysPx = thickness_PhysPx * pixelScale;
+
+    const decorations = [];
+    for (const line of textProperties.textDecoration) {
+      if (!(line in lineTopOffsets_PhysPx)) continue;
+      const y_PhysPx = baselineY_PhysPx + lineTopOffsets_PhysPx[line] * pixelScale;
+
+      // Spans of the line left after skipping ink, as [start, end) pairs
+      let spans = [[startX_PhysPx, endX_PhysPx]];
+      if (textProperties.textDecorationSkipInk && line !== 'line-through') {
+        const gap_PhysPx = height_PhysPx;
+        for (const glyph of layout.glyphs) {
+          if (glyph.y >= y_PhysPx + height_PhysPx || glyph.y + glyph.tightHeight <= y_PhysPx) continue;
+          const skipStart = glyph.x - gap_PhysPx;
+          const skipEnd = glyph.x + glyph.tightWidth + gap_PhysPx;
+          spans = spans.flatMap(([start, end]) => skipEnd <= start || skipStart >= end
+            ? [[start, end]]
+            : [[start, skipStart], [skipEnd, end]]);
+        }
+      }
+
+      for (const [start, end] of spans) {
+        if (end > start) {
+          decorations.push({ line, x: start, y: y_PhysPx, width: end - start, height: height_PhysPx, color });
+        }
+      }
+    }
+    return decorations;
+  }
+
+  // Decorations of a drawTextFromAtlas / layoutText call in canvas coordinates: none
+  // without textProperties.textDecoration or in vertical layout, rotated with the text
+  static #decorationsFor(layout, prepared, fontProperties, textProperties, rotation) {
+    if (!textProperties.textDecoration || textProperties.layoutMode === 'vertical') {
+      return [];
+    }
+    const decorations = BitmapText.#layoutDecorations(
+      layout, prepared.position_PhysPx, fontProperties, prepared.fontMetrics, textProperties, prepared.clipRight_PhysPx);
+    return rotation === 0 ? decorations : BitmapText.#rotateDecorations(decorations, prepared.anchor_PhysPx, rotation);
+  }
 
-    // Pre-round position offset values for consistent positioning throughout
-    // CRITICAL: These values are used both for positioning glyphs inside scratch canvas
-    // and for positioning the final scratch canvas copy to main canvas
-    // Using the SAME rounded values prevents 1-pixel misalignment from float rounding discrepancies
-    const actualBoundingBoxLeft_PhysPx = Math.round(metrics.actualBoundingBoxLeft * fontProperties.pixelDensity);
+  // Fill the decorations drawn under the glyphs (overText false) or over them (line-through)
+  static #fillDecorations(ctx, decorations, overText) {
+    for (const decoration of decorations) {
+      if ((decoration.line === 'line-through') !== overText) continue;
+      ctx.fillStyle = decoration.color;
+      ctx.fillRect(decoration.x, decoration.y, decoration.width, decoration.height);
+    }
+  }
 
-    // CRITICAL: Baseline position must match GlyphFAB.js (GlyphFAB.js:288)
-    // GlyphFAB positions baseline at "canvas.height / pixelDensity - 1" in CSS pixels
-    // In physical pixels: baseline_y = canvas.height - pixelDensity
-    // The dy offsets in atlas are calculated relative to THIS baseline position
-    // Missing this offset causes descender clipping (bottom row of j, y, g, p, q cut off)
-    const baselineY_PhysPx = textHeight_PhysPx - fontProperties.pixelDensity;
+  // Rotate decoration rectangles around anchor_PhysPx (see #rotateGlyphs)
+  static #rotateDecorations(decorations, anchor_PhysPx, rotation) {
+    return decorations.map(decoration => ({
+      ...decoration,
+      ...BitmapText.#rotateRect(
+        decoration.x, decoration.y, decoration.width, decoration.height, anchor_PhysPx.x, anchor_PhysPx.y, rotation)
+    }));
+  }
 
-    // Safety check: ensure dimensions are reasonable
-    if (textWidth_PhysPx <= 0 || textHeight_PhysPx <= 0 || textWidth_PhysPx > 32000 || textHeight_PhysPx > 32000) {
-      console.warn(`BitmapText: Invalid scratch canvas dimensions (${textWidth_PhysPx}x${textHeight_PhysPx}), falling back`);
-      return { missingAtlasChars, placeholdersUsed };
+  // True when textProperties asks for an outline, drop shadow or glow
+  static #hasTextEffects(textProperties) {
+    return textProperties.outlineWidth > 0 || textProperties.glowRadius > 0 ||
+      textProperties.shadowOffsetX !== 0 || textProperties.shadowOffsetY !== 0;
+  }
+
+  // Effect sizes in whole physical pixels (CSS px snapped at pixelDensity, times pixelScale)
+  static #textEffectSizes_PhysPx(fontProperties, textProperties) {
+    const toPhysPx = value_CssPx => Math.round(value_CssPx * fontProperties.pixelDensity) * textProperties.pixelScale;
+    return {
+      outline: Math.max(0, toPhysPx(textProperties.outlineWidth)),
+      glow: Math.max(0, toPhysPx(textProperties.glowRadius)),
+      shadowX: toPhysPx(textProperties.shadowOffsetX),
+      shadowY: toPhysPx(textProperties.shadowOffsetY)
+    };
+  }
+
+  // Whole-pixel box around the ink of glyphs and decorations (clipped at clipRight_PhysPx),
+  // in physical pixels; null when nothing is drawn
+  static #inkBounds_PhysPx(glyphs, decorations, clipRight_PhysPx) {
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    const glyphRects = glyphs.map(glyph => ({ x: glyph.x, y: glyph.y, width: glyph.tightWidth, height: glyph.tightHeight }));
+    for (const rect of [...glyphRects, ...decorations]) {
+      const rectRight = Math.min(rect.x + rect.width, clipRight_PhysPx);
+      if (rectRight <= rect.x) continue;
+      left = Math.min(left, Math.floor(rect.x));
+      top = Math.min(top, Math.floor(rect.y));
+      right = Math.max(right, Math.ceil(rectRight));
+      bottom = Math.max(bottom, Math.ceil(rect.y + rect.height));
     }
+    return left === Infinity ? null : { x: left, y: top, width: right - left, height: bottom - top };
+  }
 
-    // Step 2: Setup scratch canvas sized for entire text block
-    BitmapText.#coloredGlyphCanvas.width = textWidth_PhysPx;
-    BitmapText.#coloredGlyphCanvas.height = textHeight_PhysPx;
-    BitmapText.#coloredGlyphCtx.clearRect(0, 0, textWidth_PhysPx, textHeight_PhysPx);
+  // Glyph records moved so that origin_PhysPx becomes (0, 0), for drawing into a scratch box
+  static #glyphsRelativeTo(glyphs, origin_PhysPx) {
+    return glyphs.map(glyph => ({ ...glyph, x: glyph.x - origin_PhysPx.x, y: glyph.y - origin_PhysPx.y }));
+  }
 
-    // Step 3: Draw ALL glyphs to scratch canvas in their original black form
-    // Position relative to scratch canvas origin (not main canvas)
-    const position_PhysPx = {
-      // Horizontal: Start at actualBoundingBoxLeft to account for glyphs that protrude left (e.g., italic 'f')
-      // CRITICAL: Use pre-rounded value (line 950) for consistency with final copy (line 1017+)
-      x: actualBoundingBoxLeft_PhysPx,
-      // Vertical: Position baseline to match GlyphFAB.js rendering (GlyphFAB.js:288)
-      // Baseline is at "canvas.height / pixelDensity - 1" in CSS pixels
-      // which equals "canvas.height - pixelDensity" in physical pixels
-      // NOT at canvas bottom, but one pixel-row above it
-      // Glyphs draw upward/downward from here using their dy offsets from atlas
-      // CRITICAL: Must match glyph building baseline or dy offsets will be wrong (descenders clip)
-      y: baselineY_PhysPx
+  // Ink box of the glyphs and decorations with room for the outline and glow
+  static #textEffectsBox(glyphs, decorations, fontProperties, textProperties, clipRight_PhysPx) {
+    const ink = BitmapText.#inkBounds_PhysPx(glyphs, decorations, clipRight_PhysPx);
+    if (!ink) return null;
+
+    const sizes = BitmapText.#textEffectSizes_PhysPx(fontProperties, textProperties);
+    const padding_PhysPx = sizes.outline + sizes.glow;
+    return {
+      x: ink.x - padding_PhysPx,
+      y: ink.y - padding_PhysPx,
+      width: ink.width + 2 * padding_PhysPx,
+      height: ink.height + 2 * padding_PhysPx
     };
+  }
 
-    // Note: chars array is already resolved (emojis→symbols) from caller
-    for (let i = 0; i < chars.length; i++) {
-      const currentChar = chars[i];
-      const nextChar = chars[i + 1];
+  /**
+   * Turn the ink mask of a text into its effect masks, bottom to top:
+   * - glow: the ink dilated by a disc of radius outline + glow (rounded corners)
+   * - drop shadow: the ink with its outline, moved by the shadow offset
+   * - outline: the ink dilated by a square of the outline width (pixel-art corners)
+   *
+   * Dilation keeps the largest alpha of the neighbourhood, so there is no blur: edges
+   * stay as hard (or as antialiased) as the atlas glyphs. It costs O(width × height ×
+   * radius²) per mask; see #cachedTextEffectLayers for the opt-in cache.
+   *
+   * @private
+   * @param {Uint8ClampedArray} mask - RGBA pixels of the ink, only alpha is used
+   * @param {number} width - Mask width in physical pixels
+   * @param {number} height - Mask height in physical pixels
+   * @returns {Array<{pixels: Uint8ClampedArray, offsetX: number, offsetY: number, color: string, colorProperty: string}>}
+   *   Layers the size of the mask (alpha only), with their whole-pixel offset and color
+   */
+  static #textEffectLayers(mask, width, height, fontProperties, textProperties) {
+    const sizes = BitmapText.#textEffectSizes_PhysPx(fontProperties, textProperties);
+    const outlined = sizes.outline > 0 ? BitmapText.#dilateAlpha(mask, width, height, sizes.outline, false) : mask;
+
+    const layers = [];
+    if (sizes.glow > 0) {
+      layers.push({
+        pixels: BitmapText.#dilateAlpha(mask, width, height, sizes.outline + sizes.glow, true),
+        offsetX: 0, offsetY: 0, color: textProperties.glowColor, colorProperty: 'glowColor'
+      });
+    }
+    if (sizes.shadowX !== 0 || sizes.shadowY !== 0) {
+      layers.push({
+        pixels: outlined,
+        offsetX: sizes.shadowX, offsetY: sizes.shadowY, color: textProperties.shadowColor, colorProperty: 'shadowColor'
+      });
+    }
+    if (sizes.outline > 0) {
+      layers.push({
+        pixels: outlined,
+        offsetX: 0, offsetY: 0, color: textProperties.outlineColor, colorProperty: 'outlineColor'
+      });
+    }
+    return layers;
+  }
 
-      // FAST CHECK: Is this a font-invariant character? (string.includes on 18 chars = ~1-2ns)
-      const isInvariant = hasInvariantFont && BitmapText.#isInvariantCharacter(currentChar);
-
-      // Switch font ONLY if needed (avoids redundant assignments)
-      if (isInvariant && currentFontProps !== invariantFontProps) {
-        currentFontProps = invariantFontProps;
-        currentFontMetrics = invariantFontMetrics;
-        currentAtlasData = invariantAtlasData;
-      } else if (!isInvariant && currentFontProps !== fontProperties) {
-        // Switch back to base font
-        currentFontProps = fontProperties;
-        currentFontMetrics = fontMetrics;
-        currentAtlasData = atlasData;
+  // Grayscale dilation of the alpha channel: every pixel takes the largest alpha within
+  // radius (a square, or a disc when round). Rows are max-filtered once per half-width
+  // of the neighbourhood, then combined across its rows.
+  static #dilateAlpha(pixels, width, height, radius, round) {
+    const rowMaxByHalfWidth = new Map();
+    const rowMax = halfWidth => {
+      let rows = rowMaxByHalfWidth.get(halfWidth);
+      if (!rows) {
+        rows = new Uint8ClampedArray(width * height);
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            let max = 0;
+            const end = Math.min(width - 1, x + halfWidth);
+            for (let sourceX = Math.max(0, x - halfWidth); sourceX <= end; sourceX++) {
+              max = Math.max(max, pixels[(y * width + sourceX) * 4 + 3]);
+            }
+            rows[y * width + x] = max;
+          }
+        }
+        rowMaxByHalfWidth.set(halfWidth, rows);
       }
+      return rows;
+    };
 
-      // Track missing characters
-      if (currentChar !== ' ' && !currentAtlasData.hasPositioning(currentChar)) {
-        missingAtlasChars.add(currentChar);
-        placeholdersUsed = true;
-        // Advance position even for missing characters to maintain layout
-        position_PhysPx.x += BitmapText.#calculateCharacterAdvancement_PhysPx(
-          currentFontMetrics, currentFontProps, currentChar, nextChar, textProperties
-        );
-        continue;
+    const dilated = new Uint8ClampedArray(width * height * 4);
+    for (let dy = -radius; dy <= radius; dy++) {
+      const rows = rowMax(round ? Math.round(Math.sqrt(radius * radius - dy * dy)) : radius);
+      for (let y = Math.max(0, -dy); y < Math.min(height, height - dy); y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4 + 3;
+          dilated[i] = Math.max(dilated[i], rows[(y + dy) * width + x]);
+        }
       }
+    }
+    return dilated;
+  }
 
-      // Draw glyph to scratch canvas (skip spaces, they have no visual)
-      if (currentChar !== ' ' && currentAtlasData.hasPositioning(currentChar)) {
-        const ap = currentAtlasData.atlasPositioning;
-        const atlasImage = currentAtlasData.atlasImage.image;
-        const xInAtlas = ap._xInAtlas[currentChar];
-        const yInAtlas = ap._yInAtlas[currentChar];
-        const tightWidth = ap._tightWidth[currentChar];
-        const tightHeight = ap._tightHeight[currentChar];
-        const dx = ap._dx[currentChar];
-        const dy = ap._dy[currentChar];
-
-        // Draw original glyph (black) to scratch canvas at correct position
-        BitmapText.#coloredGlyphCtx.drawImage(
-          atlasImage,
-          xInAtlas, yInAtlas,
-          tightWidth, tightHeight,
-          Math.round(position_PhysPx.x + dx),
-          Math.round(position_PhysPx.y + dy),
-          tightWidth, tightHeight
-        );
-      }
+  /**
+   * #textEffectLayers of the ink in box, from the effect mask cache when enabled
+   * (setEffectCacheLimits). inkMask() draws the ink and returns its RGBA pixels; it
+   * is only called on a miss.
+   * @private
+   */
+  static #cachedTextEffectLayers(glyphs, decorations, box, clipRight_PhysPx, fontProperties, textProperties, inkMask) {
+    const { maxEntries, maxPixels } = BitmapText.#effectCacheLimits;
+    if (maxEntries === 0) {
+      return BitmapText.#textEffectLayers(inkMask(), box.width, box.height, fontProperties, textProperties);
+    }
 
-      // Advance position for next character
-      position_PhysPx.x += BitmapText.#calculateCharacterAdvancement_PhysPx(
-        currentFontMetrics, currentFontProps, currentChar, nextChar, textProperties
-      );
+    const key = BitmapText.#textEffectsCacheKey(glyphs, decorations, box, clipRight_PhysPx, fontProperties, textProperties);
+    const stats = BitmapText.#effectCacheStats;
+    const cached = BitmapText.#effectCache.get(key);
+    if (cached) {
+      // Move to the most recently used end (Map keeps insertion order)
+      BitmapText.#effectCache.delete(key);
+      BitmapText.#effectCache.set(key, cached);
+      stats.hits++;
+      return cached.layers;
     }
+    stats.misses++;
+
+    const layers = BitmapText.#textEffectLayers(inkMask(), box.width, box.height, fontProperties, textProperties);
+    const pixels = box.width * box.height * new Set(layers.map(layer => layer.pixels)).size;
+    if (pixels <= maxPixels) {
+      BitmapText.#evictEffectCache(pixels);
+      BitmapText.#effectCache.set(key, { layers, pixels });
+      stats.pixels += pixels;
+    }
+    return layers;
+  }
 
-    // Step 4: Apply color transformation ONCE to entire text
-    // This is the key optimization - only ONE composite operation instead of N
-    BitmapText.#coloredGlyphCtx.globalCompositeOperation = 'source-in';
-    BitmapText.#coloredGlyphCtx.fillStyle = textProperties.textColor;
-    BitmapText.#coloredGlyphCtx.fillRect(0, 0, textWidth_PhysPx, textHeight_PhysPx);
+  // Effect mask cache key: everything the masks depend on, relative to the box (so the
+  // same text at another whole-pixel position hits), with atlases told apart by identity
+  static #textEffectsCacheKey(glyphs, decorations, box, clipRight_PhysPx, fontProperties, textProperties) {
+    const sizes = BitmapText.#textEffectSizes_PhysPx(fontProperties, textProperties);
+    const parts = [
+      `${box.width}x${box.height}:${clipRight_PhysPx - box.x}`,
+      `${sizes.outline}:${sizes.glow}:${sizes.shadowX}:${sizes.shadowY}`,
+      `${textProperties.outlineColor}:${textProperties.glowColor}:${textProperties.shadowColor}`
+    ];
+    for (const glyph of glyphs) {
+      const atlasId = glyph.atlasImage ? BitmapText.#atlasCacheId(glyph.atlasImage) : 0;
+      parts.push(`${atlasId}:${glyph.xInAtlas},${glyph.yInAtlas},${glyph.widthInAtlas},${glyph.heightInAtlas}` +
+        `@${glyph.x - box.x},${glyph.y - box.y},${glyph.tightWidth},${glyph.tightHeight}`);
+    }
+    for (const decoration of decorations) {
+      parts.push(`${decoration.x - box.x},${decoration.y - box.y},${decoration.width},${decoration.height}`);
+    }
+    return parts.join('|');
+  }
 
-    // Reset composite operation for future use
-    BitmapText.#coloredGlyphCtx.globalCompositeOperation = 'source-over';
+  // Evict least recently used effect masks until one more set of newPixels fits the
+  // limits (newPixels 0: until the cache itself fits them)
+  static #evictEffectCache(newPixels) {
+    const { maxEntries, maxPixels } = BitmapText.#effectCacheLimits;
+    const stats = BitmapText.#effectCacheStats;
+    const newEntries = newPixels > 0 ? 1 : 0;
+    for (const [key, entry] of BitmapText.#effectCache) {
+      if (BitmapText.#effectCache.size + newEntries <= maxEntries && stats.pixels + newPixels <= maxPixels) break;
+      BitmapText.#effectCache.delete(key);
+      stats.pixels -= entry.pixels;
+      stats.evictions++;
+    }
+  }
 
-    // Step 5: Copy entire colored text block to main canvas ONCE
-    // POSITIONING GEOMETRY:
-    // - Main canvas: startPosition_PhysPx.y is at the bottom baseline (textBaseline='bottom')
-    // - Scratch canvas: baseline is at y = baselineY_PhysPx (textHeight - pixelDensity, NOT at canvas bottom)
-    // - To align baselines: scratch canvas top = startPosition_PhysPx.y - baselineY_PhysPx
-    // - Horizontal: account for actualBoundingBoxLeft offset (glyphs that protrude left)
-    // CRITICAL: Use baselineY_PhysPx (line 957) not textHeight_PhysPx to account for baseline offset
-    ctx.drawImage(
-      BitmapText.#coloredGlyphCanvas,
-      0, 0,
-      textWidth_PhysPx, textHeight_PhysPx,
-      Math.round(startPosition_PhysPx.x) - actualBoundingBoxLeft_PhysPx,
-      Math.round(startPosition_PhysPx.y) - baselineY_PhysPx,
-      textWidth_PhysPx, textHeight_PhysPx
-    );
+  /**
+   * Draw the glow, drop shadow and outline of laid-out text (under the text itself)
+   *
+   * Same scratch-canvas path as #drawColoredTextBatched: the ink (glyphs and decorations,
+   * black) is drawn to the scratch canvas and read back as a mask; each effect mask
+   * (#textEffectLayers) is then written to the scratch canvas, colored with ONE
+   * 'source-in' fill and copied to ctx at its whole-pixel offset. No canvas shadow
+   * or filter is involved, so effects are as pixel-exact as the glyphs.
+   *
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Main canvas context (identity transform)
+   * @param {Array<Object>} glyphs - Glyph records in canvas coordinates (see layoutText)
+   * @param {Array<Object>} decorations - Decoration rectangles in canvas coordinates
+   * @param {FontProperties} fontProperties - Font configuration
+   * @param {TextProperties} textProperties - Text rendering configuration
+   * @param {number} clipRight_PhysPx - No pixel is drawn at or right of this column (Infinity = no clip)
+   */
+  static #drawTextEffects(ctx, glyphs, decorations, fontProperties, textProperties, clipRight_PhysPx) {
+    const box = BitmapText.#textEffectsBox(glyphs, decorations, fontProperties, textProperties, clipRight_PhysPx);
+    if (!box) return;
+
+    const scratchCanvas = BitmapText.#coloredGlyphCanvas;
+    const scratchCtx = BitmapText.#coloredGlyphCtx;
+    scratchCanvas.width = box.width;
+    scratchCanvas.height = box.height;
+    scratchCtx.clearRect(0, 0, box.width, box.height);
+    scratchCtx.imageSmoothingEnabled = false;  // pixelScale glyphs (resizing reset the context state)
+
+    // Ink mask, relative to the box
+    const inkMask = () => {
+      for (const glyph of BitmapText.#glyphsRelativeTo(glyphs, box)) {
+        BitmapText.#drawGlyph(scratchCtx, glyph, BitmapText.#DEFAULT_TEXT_COLOR, clipRight_PhysPx - box.x);
+      }
+      scratchCtx.fillStyle = BitmapText.#DEFAULT_TEXT_COLOR;
+      for (const decoration of decorations) {
+        scratchCtx.fillRect(decoration.x - box.x, decoration.y - box.y, decoration.width, decoration.height);
+      }
+      return scratchCtx.getImageData(0, 0, box.width, box.height).data;
+    };
 
-    return { missingAtlasChars, placeholdersUsed };
+    const layers = BitmapText.#cachedTextEffectLayers(glyphs, decorations, box, clipRight_PhysPx, fontProperties, textProperties, inkMask);
+    for (const layer of layers) {
+      const layerImageData = scratchCtx.createImageData(box.width, box.height);
+      layerImageData.data.set(layer.pixels);
+      scratchCtx.putImageData(layerImageData, 0, 0);
+      scratchCtx.globalCompositeOperation = 'source-in';
+      scratchCtx.fillStyle = layer.color;
+      scratchCtx.fillRect(0, 0, box.width, box.height);
+      scratchCtx.globalCompositeOperation = 'source-over';
+
+      const destX_PhysPx = box.x + layer.offsetX;
+      const copyWidth_PhysPx = Math.min(box.width, clipRight_PhysPx - destX_PhysPx);
+      if (copyWidth_PhysPx > 0) {
+        ctx.drawImage(scratchCanvas,
+          0, 0, copyWidth_PhysPx, box.height,
+          destX_PhysPx, box.y + layer.offsetY, copyWidth_PhysPx, box.height);
+      }
+    }
   }
 
   // Rendering optimizations:
-  // 1. ✓ IMPLEMENTED: Black text fast path (see #drawCharacterDirect for 2-3x speedup)
+  // 1. ✓ IMPLEMENTED: Black text fast path (atlas → main canvas in one drawImage, 2-3x speedup)
   // 2. ✓ IMPLEMENTED: Batch colored text rendering (single composite operation per text string)
-  // 3. FUTURE: Cache colored glyphs in LRU cache to avoid re-coloring same characters
-  static #drawCharacter(ctx, char, position_PhysPx, atlasData, fontMetrics, textColor) {
-    // If atlasData is missing but metrics exist, draw simplified placeholder rectangle
-    if (!BitmapText._isValidAtlas(atlasData)) {
-      const characterMetrics = fontMetrics.getCharacterMetrics(char);
-      if (characterMetrics) {
-        BitmapText.#drawPlaceholderRectangle(ctx, char, position_PhysPx, characterMetrics, textColor);
-      }
+  // 3. ✓ IMPLEMENTED: Colored glyphs copied from LRU-cached tinted atlases when the color cache
+  //    is enabled (no composite per draw, see #getTintedAtlas); the batch path is the default
+  // clipRight_PhysPx: no pixel is drawn at or right of this column (Infinity = no clip).
+  // Clipping trims the source rect, so clipped glyphs stay pixel-exact.
+  // tintedAtlases: tinted atlas of each atlas image in textColor, filled on the first
+  // glyph that needs one (see #lookUpFont; null looks it up per glyph)
+  static #drawGlyph(ctx, glyph, textColor, clipRight_PhysPx, tintedAtlases = null) {
+    const drawWidth = Math.min(glyph.tightWidth, clipRight_PhysPx - glyph.x);
+    if (drawWidth <= 0) return;
+
+    if (glyph.isPlaceholder) {
+      ctx.fillStyle = textColor || 'black';
+      ctx.fillRect(glyph.x, glyph.y, drawWidth, glyph.tightHeight);
       return;
     }
 
-    // FAST PATH: Black text renders directly from atlas (2-3x faster)
-    // Skips scratch canvas + composite operations when using default color
-    if (textColor === BitmapText.#DEFAULT_TEXT_COLOR) {
-      BitmapText.#drawCharacterDirect(ctx, char, position_PhysPx, atlasData, fontMetrics);
+    // PIXEL SCALE: the source rect keeps the destination's exact integer ratio (a clipped
+    // width may leave a fractional source width, nearest-neighbour sampling still maps
+    // every destination pixel to the same source pixel as unclipped)
+    const sourceWidth = drawWidth * glyph.widthInAtlas / glyph.tightWidth;
+
+    // FAST PATH: Black text renders directly from atlas (2-3x faster), colored text
+    // from a cached tinted copy of the atlas
+    // Skips scratch canvas + composite operations
+    let sourceImage = textColor === BitmapText.#DEFAULT_TEXT_COLOR ? glyph.atlasImage : tintedAtlases?.get(glyph.atlasImage);
+    if (sourceImage === undefined) {
+      sourceImage = BitmapText.#getTintedAtlas(glyph.atlasImage, textColor);
+      tintedAtlases?.set(glyph.atlasImage, sourceImage);
+    }
+    if (sourceImage) {
+      ctx.drawImage(
+        sourceImage,
+        glyph.xInAtlas, glyph.yInAtlas,
+        sourceWidth, glyph.heightInAtlas,
+        glyph.x, glyph.y,
+        drawWidth, glyph.tightHeight
+      );
       return;
     }
 
-    // NOTE: Colored text now uses batch rendering in drawTextFromAtlas
-    // This method is kept for compatibility/fallback but should rarely be called for colored text
+    // NOTE: Colored text the color cache can't hold normally uses batch rendering in
+    // drawTextFromAtlas. This path is only reached for such rotated, vertical or scaled
+    // text, and for colored fallback / font-invariant glyphs
     // SLOW PATH: Colored text requires double-pass rendering
     // 1. Copy glyph from atlas to scratch canvas
     // 2. Apply color using composite operation
     // 3. Draw colored glyph to main canvas
-    if (!atlasData.hasPositioning(char)) return;
+    // (colors the whole source pixels around the source rect: rotated clipped glyphs can
+    // start or end mid-pixel, see sourceWidth above)
+    const sourceLeft = Math.floor(glyph.xInAtlas);
+    const sourceTop = Math.floor(glyph.yInAtlas);
+    const coloredGlyphCanvas = BitmapText.#createColoredGlyph(
+      glyph.atlasImage, sourceLeft, sourceTop,
+      Math.ceil(glyph.xInAtlas + sourceWidth) - sourceLeft,
+      Math.ceil(glyph.yInAtlas + glyph.heightInAtlas) - sourceTop,
+      textColor);
+    ctx.drawImage(
+      coloredGlyphCanvas,
+      glyph.xInAtlas - sourceLeft, glyph.yInAtlas - sourceTop,
+      sourceWidth, glyph.heightInAtlas,
+      glyph.x, glyph.y,
+      drawWidth, glyph.tightHeight
+    );
+  }
+
+  /**
+   * Tinted copy of an atlas image from the colored glyph cache, made on a miss with
+   * ONE 'source-in' composite over the whole atlas (same pixels as #createColoredGlyph).
+   * Keys are (atlas image, color): a reloaded atlas is a new image, the copies of the
+   * old one age out of the LRU order.
+   * @private
+   * @returns {Object|null} Canvas from the canvas factory; null when the cache is
+   *   disabled, the atlas is larger than maxPixels or there is no canvas factory
+   */
+  static #getTintedAtlas(atlasImage, textColor) {
+    if (!BitmapText.#canCacheTintedAtlas(atlasImage)) return null;
+
+    const key = `${BitmapText.#atlasCacheId(atlasImage)}:${textColor}`;
+    const stats = BitmapText.#colorCacheStats;
+
+    const cached = BitmapText.#colorCache.get(key);
+    if (cached) {
+      // Move to the most recently used end (Map keeps insertion order)
+      BitmapText.#colorCache.delete(key);
+      BitmapText.#colorCache.set(key, cached);
+      stats.hits++;
+      return cached.image;
+    }
+    stats.misses++;
+
+    const width = atlasImage.naturalWidth || atlasImage.width;
+    const height = atlasImage.naturalHeight || atlasImage.height;
+    const image = BitmapText.getCanvasFactory()();
+    image.width = width;
+    image.height = height;
+    const ctx = image.getContext('2d');
+    ctx.drawImage(atlasImage, 0, 0);
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.fillStyle = textColor;
+    ctx.fillRect(0, 0, width, height);
+
+    BitmapText.#evictColorCache(width * height);
+    BitmapText.#colorCache.set(key, { image, pixels: width * height });
+    stats.pixels += width * height;
+    return image;
+  }
+
+  // Numeric id of an atlas image for cache keys (a reloaded atlas is a new image, so a new id)
+  static #atlasCacheId(atlasImage) {
+    let atlasId = BitmapText.#atlasCacheIds.get(atlasImage);
+    if (!atlasId) {
+      atlasId = BitmapText.#nextAtlasCacheId++;
+      BitmapText.#atlasCacheIds.set(atlasImage, atlasId);
+    }
+    return atlasId;
+  }
 
-    const ap = atlasData.atlasPositioning;
-    const atlasImage = atlasData.atlasImage.image;
-    const xInAtlas = ap._xInAtlas[char];
-    const yInAtlas = ap._yInAtlas[char];
-    const tightWidth = ap._tightWidth[char];
-    const tightHeight = ap._tightHeight[char];
-    const dx = ap._dx[char];
-    const dy = ap._dy[char];
-    const coloredGlyphCanvas = BitmapText.#createColoredGlyph(atlasImage, xInAtlas, yInAtlas, tightWidth, tightHeight, textColor);
-    BitmapText.#renderGlyphToMainCanvas(ctx, coloredGlyphCanvas, position_PhysPx, tightWidth, tightHeight, dx, dy);
+  // Whether the colored glyph cache can hold a tinted copy of atlasImage
+  static #canCacheTintedAtlas(atlasImage) {
+    const { maxEntries, maxPixels } = BitmapText.#colorCacheLimits;
+    const pixels = (atlasImage.naturalWidth || atlasImage.width) * (atlasImage.naturalHeight || atlasImage.height);
+    return maxEntries > 0 && pixels <= maxPixels && !!BitmapText.getCanvasFactory();
+  }
+
+  // Evict least recently used tinted atlases until one more of newPixels fits the
+  // limits (newPixels 0: until the cache itself fits them)
+  static #evictColorCache(newPixels) {
+    const { maxEntries, maxPixels } = BitmapText.#colorCacheLimits;
+    const stats = BitmapText.#colorCacheStats;
+    const newEntries = newPixels > 0 ? 1 : 0;
+    for (const [key, entry] of BitmapText.#colorCache) {
+      if (BitmapText.#colorCache.size + newEntries <= maxEntries && stats.pixels + newPixels <= maxPixels) break;
+      BitmapText.#colorCache.delete(key);
+      stats.pixels -= entry.pixels;
+      stats.evictions++;
+    }
   }
 
   static #createColoredGlyph(atlasImage, xInAtlas, yInAtlas, tightWidth, tightHeight, textColor) {
@@ -1183,64 +3765,21 @@ class BitmapText {
     return BitmapText.#coloredGlyphCanvas;
   }
 
-  static #renderGlyphToMainCanvas(ctx, coloredGlyphCanvas, position_PhysPx, tightWidth, tightHeight, dx, dy) {
-    // Round coordinates at draw stage for crisp, pixel-aligned rendering
-    // Position tracking uses floats to avoid accumulation errors, but final
-    // draw coordinates must be integers to prevent subpixel antialiasing
-    // see https://stackoverflow.com/a/6061102
-    ctx.drawImage(
-      coloredGlyphCanvas,
-      0, 0,
-      tightWidth, tightHeight,
-      Math.round(position_PhysPx.x + dx),
-      Math.round(position_PhysPx.y + dy),
-      tightWidth, tightHeight
-    );
-  }
-
-  /**
-   * Fast path: Draw character directly from atlas (black text only)
-   * Skips scratch canvas and color composite operations for 2-3x faster rendering
-   * @private
-   */
-  static #drawCharacterDirect(ctx, char, position_PhysPx, atlasData, fontMetrics) {
-    if (!atlasData.hasPositioning(char)) return;
-
-    const ap = atlasData.atlasPositioning;
-    const atlasImage = atlasData.atlasImage.image;
-    const xInAtlas = ap._xInAtlas[char];
-    const yInAtlas = ap._yInAtlas[char];
-    const tightWidth = ap._tightWidth[char];
-    const tightHeight = ap._tightHeight[char];
-    const dx = ap._dx[char];
-    const dy = ap._dy[char];
-
-    // Single drawImage operation: atlas → main canvas
-    // Round coordinates at draw stage for crisp, pixel-aligned rendering
-    // Position tracking uses floats to avoid accumulation errors, but final
-    // draw coordinates must be integers to prevent subpixel antialiasing
-    ctx.drawImage(
-      atlasImage,
-      xInAtlas, yInAtlas,
-      tightWidth, tightHeight,
-      Math.round(position_PhysPx.x + dx),
-      Math.round(position_PhysPx.y + dy),
-      tightWidth, tightHeight
-    );
-  }
-
-  static #drawPlaceholderRectangle(ctx, char, position_PhysPx, characterMetrics, textColor) {
-    if (char === ' ') return;
+  // Placeholder glyph record for a character whose font has no atlas (null if
+  // the character has no bounding box metrics), pixelScale times the bounding box
+  static #layoutPlaceholderGlyph(char, charIndex, position_PhysPx, fontMetrics, fontProperties, pixelScale) {
+    const characterMetrics = fontMetrics.getCharacterMetrics(char);
+    if (!characterMetrics) return null;
 
     if (characterMetrics.actualBoundingBoxLeft === undefined ||
       characterMetrics.actualBoundingBoxRight === undefined ||
       characterMetrics.actualBoundingBoxAscent === undefined ||
       characterMetrics.actualBoundingBoxDescent === undefined) {
       console.warn(`Missing bounding box metrics for character '${char}'`);
-      return;
+      return null;
     }
 
-    const pixelDensity = characterMetrics.pixelDensity || 1;
+    const pixelDensity = (characterMetrics.pixelDensity || 1) * pixelScale;
 
     // Use CHARACTER-SPECIFIC actual bounding box (not font-wide fontBoundingBox)
     // This makes:
@@ -1260,8 +3799,8 @@ class BitmapText {
 
     // X position: Account for actualBoundingBoxLeft (glyphs may protrude left, e.g., italic 'f')
     // This matches the dx offset calculation in atlas rendering (AtlasPositioningFAB.js:92)
-    const rectX_PhysPx = position_PhysPx.x
-      - Math.round(characterMetrics.actualBoundingBoxLeft) * pixelDensity;
+    const dx_PhysPx = -Math.round(characterMetrics.actualBoundingBoxLeft) * pixelDensity;
+    const rectX_PhysPx = position_PhysPx.x + dx_PhysPx;
 
     // Y position calculation:
     // - position_PhysPx.y is at em square BOTTOM (textBaseline='bottom')
@@ -1273,19 +3812,67 @@ class BitmapText {
       - characterMetrics.fontBoundingBoxDescent * pixelDensity
       - characterMetrics.actualBoundingBoxAscent * pixelDensity;
 
-    const actualColor = textColor || 'black';
-
-    // Draw character-specific rectangle
     // Round coordinates at draw stage for crisp, pixel-aligned rendering
-    // Position tracking uses floats to avoid accumulation errors, but final
-    // draw coordinates must be integers to prevent subpixel antialiasing
-    ctx.fillStyle = actualColor;
-    ctx.fillRect(
-      Math.round(rectX_PhysPx),
-      Math.round(rectY_PhysPx),
-      Math.round(width_PhysPx),
-      Math.round(height_PhysPx)
-    );
+    return {
+      char,
+      charIndex,
+      fontId: fontProperties.idString,
+      x: Math.round(rectX_PhysPx),
+      y: Math.round(rectY_PhysPx),
+      tightWidth: Math.round(width_PhysPx),
+      tightHeight: Math.round(height_PhysPx),
+      xInAtlas: null,
+      yInAtlas: null,
+      widthInAtlas: null,
+      heightInAtlas: null,
+      dx: dx_PhysPx,
+      dy: rectY_PhysPx - position_PhysPx.y,
+      penX: position_PhysPx.x,
+      penY: position_PhysPx.y,
+      atlasImage: null,
+      isPlaceholder: true
+    };
+  }
+
+  /**
+   * Cell of one character in vertical layout (CSS pixels)
+   *
+   * - width: the character's advance without kerning or spacing (the character is
+   *   centred on the column axis by it)
+   * - height: font bounding box height (fontBoundingBoxAscent + fontBoundingBoxDescent)
+   *   of the character's font, rounded like the glyph cell height in GlyphFAB.js so
+   *   cells start on whole CSS pixels, then multiplied by textProperties.pixelScale
+   * - step: distance to the next cell, height plus letter / word spacing
+   * Tabs are blank cells like spaces.
+   * @private
+   */
+  static #verticalCell_CssPx(fontMetrics, fontProperties, char, textProperties) {
+    const cellChar = char === '\t' ? ' ' : char;
+    const characterMetrics = fontMetrics.getCharacterMetrics(BitmapText.#metricsCharFor(cellChar));
+    const height = Math.round(characterMetrics.fontBoundingBoxAscent + characterMetrics.fontBoundingBoxDescent)
+      * textProperties.pixelScale;
+    const extraSpacing = BitmapText.#extraSpacing_CssPx(fontProperties, cellChar, textProperties);
+    const width = BitmapText.calculateAdvancement_CssPx(fontMetrics, fontProperties, cellChar, null, textProperties) - extraSpacing;
+    return { width, height, step: height + extraSpacing };
+  }
+
+  /**
+   * Size of a vertical layout column: the widest cell by the sum of all cell steps
+   * (so, like width in horizontal layout, the height includes the spacing after the
+   * last character). Each character uses the cell of its font in the chain.
+   * @private
+   * @returns {{width: number, height: number}} CSS pixels
+   */
+  static #measureVerticalColumn(chars, fontChain, textProperties) {
+    let width = 0;
+    let height = 0;
+    for (const char of chars) {
+      const font = BitmapText.#fontForChar(char, fontChain);
+      const cell = BitmapText.#verticalCell_CssPx(font.fontMetrics, font.fontProperties, char, textProperties);
+      width = Math.max(width, cell.width);
+      height += cell.step;
+    }
+    return { width, height };
   }
 
   static #calculateCharacterAdvancement_PhysPx(fontMetrics, fontProperties, currentChar, nextChar, textProperties) {
@@ -1306,12 +3893,340 @@ class BitmapText {
     return atlasData.isValid();
   }
 
+  // ============================================
+  // Text Fill Helpers
+  // ============================================
+  //
+  // Besides a CSS color string, textProperties.textColor can be a linear gradient
+  // ({type: 'linear-gradient', angle, stops}, see TextProperties) or per-character
+  // colors (an array indexed by character, or a callback (char, index) → color).
+  // Fills are applied to glyphs already composited in black on a scratch canvas or
+  // buffer, by rewriting the RGB of their pixels in JS: no canvas gradient is involved,
+  // so fills are pixel-identical across browsers and drawTextToImageData.
+
+  // True for gradient / per-character textColor fills (anything but a color string)
+  static #isTextFill(textColor) {
+    return typeof textColor !== 'string';
+  }
+
+  // Single color standing in for a textColor fill where one is needed (decorations,
+  // placeholders of drawTextToImageData): the first stop or character color, black
+  // for callbacks
+  static #solidTextColor(textColor) {
+    if (!BitmapText.#isTextFill(textColor)) return textColor;
+    const color = Array.isArray(textColor) ? textColor[0] : textColor?.stops?.[0]?.color;
+    return color ?? BitmapText.#DEFAULT_TEXT_COLOR;
+  }
+
+  // Color black glyphs composited on a scratch canvas: ONE 'source-in' fill for a color
+  // string, #paintTextFill on the read-back pixels for fills
+  static #applyTextColor(scratchCtx, width, height, glyphs, textColor, rotation) {
+    if (BitmapText.#isTextFill(textColor)) {
+      const imageData = scratchCtx.getImageData(0, 0, width, height);
+      BitmapText.#paintTextFill(imageData.data, width, glyphs, textColor, rotation);
+      scratchCtx.putImageData(imageData, 0, 0);
+      return;
+    }
+    scratchCtx.globalCompositeOperation = 'source-in';
+    scratchCtx.fillStyle = textColor;
+    scratchCtx.fillRect(0, 0, width, height);
+
+    // Reset composite operation for future use
+    scratchCtx.globalCompositeOperation = 'source-over';
+  }
+
+  /**
+   * Draw laid-out glyphs with a gradient / per-character textColor fill: composited in
+   * black on the scratch canvas (a box around their ink), colored, copied to ctx once
+   * @private
+   * @param {CanvasRenderingContext2D} ctx - Main canvas context (identity transform)
+   * @param {Array<Object>} glyphs - Glyph records in canvas coordinates (see layoutText)
+   * @param {Object|Array<string>|Function} textColor - Gradient / per-character fill
+   * @param {number} rotation - Quarter turn of the text (turns gradients with it)
+   * @param {number} clipRight_PhysPx - No pixel is drawn at or right of this column (Infinity = no clip)
+   */
+  static #drawFilledGlyphs(ctx, glyphs, textColor, rotation, clipRight_PhysPx) {
+    const box = BitmapText.#inkBounds_PhysPx(glyphs, [], clipRight_PhysPx);
+    if (!box) return;
+
+    const scratchCtx = BitmapText.#coloredGlyphCtx;
+    BitmapText.#coloredGlyphCanvas.width = box.width;
+    BitmapText.#coloredGlyphCanvas.height = box.height;
+    scratchCtx.clearRect(0, 0, box.width, box.height);
+    scratchCtx.imageSmoothingEnabled = false;  // pixelScale glyphs (resizing reset the context state)
+
+    const boxGlyphs = BitmapText.#glyphsRelativeTo(glyphs, box);
+    for (const glyph of boxGlyphs) {
+      BitmapText.#drawGlyph(scratchCtx, glyph, BitmapText.#DEFAULT_TEXT_COLOR, clipRight_PhysPx - box.x);
+    }
+    BitmapText.#applyTextColor(scratchCtx, box.width, box.height, boxGlyphs, textColor, rotation);
+    ctx.drawImage(BitmapText.#coloredGlyphCanvas, 0, 0, box.width, box.height, box.x, box.y, box.width, box.height);
+  }
+
+  /**
+   * Replace the RGB of the ink pixels of an RGBA buffer with a textColor fill (alpha is
+   * kept, as with a 'source-in' fill of a single color)
+   *
+   * - Linear gradient: CSS linear-gradient() geometry over the bounding box of the
+   *   glyphs (angle 0 points up, 90 right, turned by the text's rotation); every pixel
+   *   takes the color at its centre, channels rounded to integers
+   * - Per-character colors: every glyph rectangle takes the color of its character
+   *   (glyph.charIndex; missing entries are black, later glyphs win where they overlap)
+   *
+   * Fill colors take the drawTextToImageData formats (hex with optional alpha, rgb(),
+   * rgba()); translucent colors scale the alpha. Other formats warn and paint black.
+   *
+   * @private
+   * @param {Uint8ClampedArray} data - RGBA pixels with the glyphs composited in black
+   * @param {number} width - Buffer width in pixels
+   * @param {Array<Object>} glyphs - Glyph records relative to the buffer origin
+   * @param {Object|Array<string>|Function} textColor - Gradient / per-character fill
+   * @param {number} rotation - Quarter turn of the text (0, 90, 180, 270)
+   */
+  static #paintTextFill(data, width, glyphs, textColor, rotation) {
+    const height = data.length / 4 / width;
+    const paint = (x, y, rgb) => {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] === 0) return;
+      data[i] = rgb.r;
+      data[i + 1] = rgb.g;
+      data[i + 2] = rgb.b;
+      if (rgb.a < 1) data[i + 3] = Math.round(data[i + 3] * rgb.a);
+    };
+
+    if (Array.isArray(textColor) || typeof textColor === 'function') {
+      for (const glyph of glyphs) {
+        const color = Array.isArray(textColor) ? textColor[glyph.charIndex] : textColor(glyph.char, glyph.charIndex);
+        const rgb = BitmapText.#parseFillColor(color ?? BitmapText.#DEFAULT_TEXT_COLOR);
+        const endX = Math.min(width, Math.ceil(glyph.x + glyph.tightWidth));
+        const endY = Math.min(height, Math.ceil(glyph.y + glyph.tightHeight));
+        for (let y = Math.max(0, Math.floor(glyph.y)); y < endY; y++) {
+          for (let x = Math.max(0, Math.floor(glyph.x)); x < endX; x++) {
+            paint(x, y, rgb);
+          }
+        }
+      }
+      return;
+    }
+
+    const box = BitmapText.#inkBounds_PhysPx(glyphs, [], Infinity);
+    if (!box || textColor.stops.length === 0) return;
+    const stops = textColor.stops.map(stop => ({ offset: stop.offset, rgb: BitmapText.#parseFillColor(stop.color) }));
+
+    // Gradient line through the box centre, long enough for the corners to reach 0 and 1
+    const angle = (textColor.angle + rotation) * Math.PI / 180;
+    const directionX = Math.sin(angle);
+    const directionY = -Math.cos(angle);
+    const length = Math.abs(box.width * directionX) + Math.abs(box.height * directionY);
+    const centreX = box.x + box.width / 2;
+    const centreY = box.y + box.height / 2;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const t = ((x + 0.5 - centreX) * directionX + (y + 0.5 - centreY) * directionY) / length + 0.5;
+        paint(x, y, BitmapText.#gradientColorAt(stops, t));
+      }
+    }
+  }
+
+  // Color at position t of gradient stops ({offset, rgb} sorted by offset), clamped
+  // to the first / last stop (alpha is interpolated unrounded)
+  static #gradientColorAt(stops, t) {
+    if (t <= stops[0].offset) return stops[0].rgb;
+    for (let i = 1; i < stops.length; i++) {
+      const next = stops[i];
+      if (t > next.offset) continue;
+      const previous = stops[i - 1];
+      const u = (t - previous.offset) / (next.offset - previous.offset);
+      return {
+        r: Math.round(previous.rgb.r + (next.rgb.r - previous.rgb.r) * u),
+        g: Math.round(previous.rgb.g + (next.rgb.g - previous.rgb.g) * u),
+        b: Math.round(previous.rgb.b + (next.rgb.b - previous.rgb.b) * u),
+        a: previous.rgb.a + (next.rgb.a - previous.rgb.a) * u
+      };
+    }
+    return stops[stops.length - 1].rgb;
+  }
+
+  // #parseColor for fill colors: other formats paint black (see #parseColorOrBlack)
+  static #parseFillColor(color) {
+    return BitmapText.#parseColorOrBlack(color, 'textColor fill');
+  }
+
+  // ============================================
+  // Quarter-turn Rotation Helpers
+  // ============================================
+  //
+  // textProperties.rotation turns text clockwise around its (x, y) anchor, like
+  // ctx.translate(x, y); ctx.rotate(angle); ctx.fillText(text, 0, 0) would.
+  // Only quarter turns are supported: they map whole pixels onto whole pixels, so
+  // glyphs are copied from a rotated copy of the atlas without any resampling and
+  // the output is as deterministic as unrotated text.
+
+  // textProperties.rotation if it is a quarter turn, otherwise 0 (warning the first
+  // time each rotation is seen: one draw call resolves it several times)
+  static #quarterTurnRotation(textProperties) {
+    const rotation = textProperties.rotation;
+    if (rotation === 0 || rotation === 90 || rotation === 180 || rotation === 270) {
+      return rotation;
+    }
+    if (!BitmapText.#unsupportedRotationsWarned.has(rotation)) {
+      BitmapText.#unsupportedRotationsWarned.add(rotation);
+      console.warn(`BitmapText: rotation ${rotation} is not a quarter turn (0, 90, 180, 270), drawing unrotated`);
+    }
+    return 0;
+  }
+
+  // Rotate the offset (u, v) clockwise by a quarter-turn rotation (screen axes, y down)
+  static #rotateOffset(u, v, rotation) {
+    switch (rotation) {
+      case 90: return { x: -v, y: u };
+      case 180: return { x: -u, y: -v };
+      case 270: return { x: v, y: -u };
+      default: return { x: u, y: v };
+    }
+  }
+
+  // Turn the actualBoundingBox* values of measureText metrics (in place) into screen axes
+  static #rotateBoundingBox(metrics, rotation) {
+    if (rotation === 0) return;
+    const box = BitmapText.#rotateRect(
+      -metrics.actualBoundingBoxLeft, -metrics.actualBoundingBoxAscent,
+      metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight,
+      metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent,
+      0, 0, rotation);
+    metrics.actualBoundingBoxLeft = -box.x;
+    metrics.actualBoundingBoxRight = box.x + box.width;
+    metrics.actualBoundingBoxAscent = -box.y;
+    metrics.actualBoundingBoxDescent = box.y + box.height;
+  }
+
+  // Rotate a rectangle around (anchorX, anchorY); the result is again a {x, y, width, height}
+  // rectangle, on whole pixels when the inputs are
+  static #rotateRect(x, y, width, height, anchorX, anchorY, rotation) {
+    const corner1 = BitmapText.#rotateOffset(x - anchorX, y - anchorY, rotation);
+    const corner2 = BitmapText.#rotateOffset(x + width - anchorX, y + height - anchorY, rotation);
+    return {
+      x: anchorX + Math.min(corner1.x, corner2.x),
+      y: anchorY + Math.min(corner1.y, corner2.y),
+      width: Math.abs(corner2.x - corner1.x),
+      height: Math.abs(corner2.y - corner1.y)
+    };
+  }
+
+  // Rotate laid-out glyph records around anchor_PhysPx. Clipping (clipRight_PhysPx)
+  // is applied first, along the text's own x axis, so the returned glyphs need no clip.
+  // Atlas glyphs switch to the rotated atlas copy; glyphs whose atlas pixels can't be
+  // read are dropped with a warning.
+  static #rotateGlyphs(glyphs, anchor_PhysPx, rotation, clipRight_PhysPx) {
+    const rotatedGlyphs = [];
+    for (const glyph of glyphs) {
+      const width = Math.min(glyph.tightWidth, clipRight_PhysPx - glyph.x);
+      if (width <= 0) continue;
+
+      const rect = BitmapText.#rotateRect(
+        glyph.x, glyph.y, width, glyph.tightHeight, anchor_PhysPx.x, anchor_PhysPx.y, rotation);
+      const pen = BitmapText.#rotateOffset(glyph.penX - anchor_PhysPx.x, glyph.penY - anchor_PhysPx.y, rotation);
+      const rotatedGlyph = {
+        ...glyph,
+        x: rect.x,
+        y: rect.y,
+        tightWidth: rect.width,
+        tightHeight: rect.height,
+        penX: anchor_PhysPx.x + pen.x,
+        penY: anchor_PhysPx.y + pen.y
+      };
+
+      if (!glyph.isPlaceholder) {
+        const rotatedAtlas = BitmapText.#getRotatedAtlasImage(glyph.atlasImage, rotation);
+        if (!rotatedAtlas) {
+          console.warn('BitmapText: Cannot read atlas pixels to rotate glyphs (no canvas factory for image-element atlases)');
+          continue;
+        }
+        // The rotated atlas is the atlas rotated around its origin, shifted back to (0, 0)
+        const atlasRect = BitmapText.#rotateRect(0, 0, rotatedAtlas.sourceWidth, rotatedAtlas.sourceHeight, 0, 0, rotation);
+        const sourceRect = BitmapText.#rotateRect(
+          glyph.xInAtlas, glyph.yInAtlas, width * glyph.widthInAtlas / glyph.tightWidth, glyph.heightInAtlas, 0, 0, rotation);
+        rotatedGlyph.xInAtlas = sourceRect.x - atlasRect.x;
+        rotatedGlyph.yInAtlas = sourceRect.y - atlasRect.y;
+        rotatedGlyph.widthInAtlas = sourceRect.width;
+        rotatedGlyph.heightInAtlas = sourceRect.height;
+        rotatedGlyph.atlasImage = rotatedAtlas.image;
+      }
+      rotatedGlyphs.push(rotatedGlyph);
+    }
+    return rotatedGlyphs;
+  }
+
+  /**
+   * Rotated copy of an atlas image, built once per atlas and rotation by moving
+   * pixels (no drawing with transforms, so no resampling in any browser)
+   * @private
+   * @returns {{image: Object, sourceWidth: number, sourceHeight: number}|null}
+   *   image is a canvas from the canvas factory, or a plain {width, height, data}
+   *   image without one; null when the atlas pixels can't be read
+   */
+  static #getRotatedAtlasImage(atlasImage, rotation) {
+    let rotations = BitmapText.#rotatedAtlasCache.get(atlasImage);
+    if (!rotations) {
+      rotations = {};
+      BitmapText.#rotatedAtlasCache.set(atlasImage, rotations);
+    }
+    if (rotations[rotation]) {
+      return rotations[rotation];
+    }
+
+    const pixels = BitmapText.#getAtlasPixels(atlasImage);
+    if (!pixels) return null;
+
+    const sourceWidth = pixels.width;
+    const sourceHeight = pixels.data.length / 4 / sourceWidth;
+    const width = rotation === 180 ? sourceWidth : sourceHeight;
+    const height = rotation === 180 ? sourceHeight : sourceWidth;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let sy = 0; sy < sourceHeight; sy++) {
+      for (let sx = 0; sx < sourceWidth; sx++) {
+        let x, y;
+        if (rotation === 90) {
+          x = sourceHeight - 1 - sy;
+          y = sx;
+        } else if (rotation === 180) {
+          x = sourceWidth - 1 - sx;
+          y = sourceHeight - 1 - sy;
+        } else {
+          x = sy;
+          y = sourceWidth - 1 - sx;
+        }
+        const srcI = (sy * sourceWidth + sx) * 4;
+        const destI = (y * width + x) * 4;
+        data[destI] = pixels.data[srcI];
+        data[destI + 1] = pixels.data[srcI + 1];
+        data[destI + 2] = pixels.data[srcI + 2];
+        data[destI + 3] = pixels.data[srcI + 3];
+      }
+    }
+
+    let image = { width, height, data };
+    const canvasFactory = BitmapText.getCanvasFactory();
+    if (canvasFactory) {
+      image = canvasFactory();
+      image.width = width;
+      image.height = height;
+      const ctx = image.getContext('2d');
+      const imageData = ctx.createImageData(width, height);
+      imageData.data.set(data);
+      ctx.putImageData(imageData, 0, 0);
+    }
+
+    rotations[rotation] = { image, sourceWidth, sourceHeight };
+    return rotations[rotation];
+  }
+
   // ============================================
   // Testing Helpers
   // ============================================
 
   /**
-   * Reset all state for testing
+   * Reset all state for testing (cache contents and limits included)
    * @private
    */
   static __resetForTesting() {
@@ -1333,6 +4248,15 @@ class BitmapText {
     }
     BitmapText.#coloredGlyphCanvas = null;
     BitmapText.#coloredGlyphCtx = null;
+    BitmapText.clearColorCache();
+    BitmapText.clearMeasureCache();
+    BitmapText.clearEffectCache();
+    BitmapText.#colorCacheLimits = BitmapText.#DEFAULT_COLOR_CACHE_LIMITS;
+    BitmapText.#measureCacheLimits = BitmapText.#DEFAULT_MEASURE_CACHE_LIMITS;
+    BitmapText.#effectCacheLimits = BitmapText.#DEFAULT_EFFECT_CACHE_LIMITS;
+    BitmapText.clearSpriteCache();
+    BitmapText.#unsupportedColorsWarned.clear();
+    BitmapText.#unsupportedRotationsWarned.clear();
     BitmapText.#canvasFactory = null;
     BitmapText._fontLoader = null;
   }
@@ -53,6 +53,62 @@ class CharacterSets {
    */
   static INVARIANT_FONT_FAMILY = 'BitmapTextInvariant';
 
+  // ============================================
+  // Unicode Space Characters
+  // ============================================
+  //
+  // WHY THIS EXISTS:
+  // Text pasted from CMSs and word processors is full of NBSP (U+00A0), thin
+  // spaces (U+2009) and friends. None of them is in the atlases: like the
+  // standard space they have no visible pixels, so the runtime synthesizes their
+  // advance from the font's own metrics instead of looking up a glyph.
+  // ============================================
+
+  /**
+   * Advance rules for Unicode space characters other than U+0020.
+   * Each entry is either:
+   * - { like: char }  - same advance as that character of the font
+   *                     (' ' also honours the small-size space override; fonts
+   *                     without that character use the space advance)
+   * - { em: fraction } - fraction of the em (= fontSize in CSS pixels)
+   *
+   * None of these characters is a line-break opportunity in BitmapText layout.
+   *
+   * @type {Object.<string, {like?: string, em?: number}>}
+   * @static
+   * @readonly
+   */
+  static UNICODE_SPACES = Object.freeze({
+    '\u00A0': { like: ' ' },      // NO-BREAK SPACE
+    '\u2000': { em: 1 / 2 },      // EN QUAD
+    '\u2001': { em: 1 },          // EM QUAD
+    '\u2002': { em: 1 / 2 },      // EN SPACE
+    '\u2003': { em: 1 },          // EM SPACE
+    '\u2004': { em: 1 / 3 },      // THREE-PER-EM SPACE
+    '\u2005': { em: 1 / 4 },      // FOUR-PER-EM SPACE
+    '\u2006': { em: 1 / 6 },      // SIX-PER-EM SPACE
+    '\u2007': { like: '0' },      // FIGURE SPACE (width of a digit)
+    '\u2008': { like: '.' },      // PUNCTUATION SPACE (width of a period)
+    '\u2009': { em: 1 / 5 },      // THIN SPACE
+    '\u200A': { em: 1 / 10 },     // HAIR SPACE
+    '\u202F': { em: 1 / 5 },      // NARROW NO-BREAK SPACE
+    '\u205F': { em: 4 / 18 },     // MEDIUM MATHEMATICAL SPACE
+    '\u3000': { em: 1 }           // IDEOGRAPHIC SPACE
+  });
+
+  /**
+   * Checks whether a character is the standard space, a tab, or one of UNICODE_SPACES.
+   * Space characters have no glyph: they are never looked up in atlases and
+   * are never reported as missing.
+   *
+   * @param {string} char - Already-resolved character
+   * @returns {boolean} True if the character only advances the pen
+   * @static
+   */
+  static isSpaceCharacter(char) {
+    return char === ' ' || char === '\t' || CharacterSets.UNICODE_SPACES[char] !== undefined;
+  }
+
   // ============================================
   // Character Aliasing (Emoji → Symbol Mapping)
   // ============================================
@@ -133,6 +189,80 @@ class CharacterSets {
     return text.replace(CharacterSets.#aliasRegex, m => CharacterSets.CHARACTER_ALIASES[m]);
   }
 
+  // ============================================
+  // Grapheme Cluster Iteration
+  // ============================================
+  //
+  // WHY THIS EXISTS:
+  // Splitting with [...text] yields code points, which breaks user-perceived
+  // characters apart: a ZWJ family emoji becomes 5 pieces, 'e' + U+0301 becomes
+  // 'e' plus a lone combining accent. Iterating grapheme clusters keeps each
+  // user-perceived character whole, so it can be aliased (or reported missing)
+  // as ONE unit.
+  // ============================================
+
+  /**
+   * Cached Intl.Segmenter (grapheme granularity), or null where unsupported.
+   * Built lazily on first use.
+   * @type {Intl.Segmenter|null|undefined}
+   * @private
+   */
+  static #graphemeSegmenter = undefined;
+
+  /**
+   * Matches any code point that can start or extend a multi-code-point cluster.
+   * Text without such code points (plain ASCII / Latin-1 / Latin Extended) has
+   * one cluster per code point, so it skips Intl.Segmenter entirely.
+   * @type {RegExp}
+   * @private
+   */
+  static #MAY_CLUSTER_REGEX = /[^\u0000-\u02FF]/;
+
+  /**
+   * Splits text into grapheme clusters and resolves each cluster for rendering:
+   * 1. Whole-cluster lookup in CHARACTER_ALIASES (e.g. a multi-code-point emoji
+   *    can alias to a single invariant glyph)
+   * 2. Otherwise multi-code-point clusters are NFC-normalized, so combining
+   *    sequences like 'e' + U+0301 become the precomposed 'é' the fonts contain
+   * 3. Anything else is kept whole - an unknown cluster is ONE missing character
+   *
+   * Falls back to code point iteration (resolveString + [...text]) where
+   * Intl.Segmenter is not available.
+   *
+   * @param {string} text - Input text (may contain emojis / combining sequences)
+   * @returns {string[]} Resolved characters, one entry per grapheme cluster
+   * @static
+   */
+  static resolveCharacters(text) {
+    // FAST PATH: every code point is its own cluster
+    if (!CharacterSets.#MAY_CLUSTER_REGEX.test(text)) {
+      return [...CharacterSets.resolveString(text)];
+    }
+
+    if (CharacterSets.#graphemeSegmenter === undefined) {
+      CharacterSets.#graphemeSegmenter = (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function')
+        ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+        : null;
+    }
+    if (!CharacterSets.#graphemeSegmenter) {
+      return [...CharacterSets.resolveString(text)];
+    }
+
+    const resolved = [];
+    for (const { segment } of CharacterSets.#graphemeSegmenter.segment(text)) {
+      const alias = CharacterSets.CHARACTER_ALIASES[segment];
+      if (alias !== undefined) {
+        resolved.push(alias);
+      } else if (segment.length > 1) {
+        // No-op for a lone astral code point (surrogate pair); composes combining sequences
+        resolved.push(segment.normalize('NFC'));
+      } else {
+        resolved.push(segment);
+      }
+    }
+    return resolved;
+  }
+
   // ============================================
   // Private Generator Methods
   // ============================================
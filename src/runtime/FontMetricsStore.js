@@ -16,6 +16,9 @@
 class FontMetricsStore {
   // Density-aware cache: fontProperties.key → FontMetrics instance
   static #fontMetrics = new Map();
+  // Bumped whenever metrics are set or removed (lazy materialisation doesn't change
+  // what is available, so it doesn't count); lets caches of derived data notice
+  static #version = 0;
 
   static getFontMetrics(fontProperties) {
     const cached = FontMetricsStore.#fontMetrics.get(fontProperties.key);
@@ -41,6 +44,7 @@ class FontMetricsStore {
 
   static setFontMetrics(fontProperties, fontMetrics) {
     FontMetricsStore.#fontMetrics.set(fontProperties.key, fontMetrics);
+    FontMetricsStore.#version++;
   }
 
   static hasFontMetrics(fontProperties) {
@@ -50,6 +54,7 @@ class FontMetricsStore {
   }
 
   static deleteFontMetrics(fontProperties) {
+    FontMetricsStore.#version++;
     return FontMetricsStore.#fontMetrics.delete(fontProperties.key);
   }
 
@@ -57,8 +62,28 @@ class FontMetricsStore {
     return Array.from(FontMetricsStore.#fontMetrics.keys());
   }
 
+  // Sizes (ascending) with metrics for fontProperties' density, family, style and
+  // weight: materialised here or available in the metrics bundle
+  static getAvailableSizes(fontProperties) {
+    const { pixelDensity, fontFamily, fontStyle, fontWeight } = fontProperties;
+    const prefix = `${pixelDensity}:${fontFamily}:${fontStyle}:${fontWeight}:`;
+    const sizes = new Set();
+    for (const key of FontMetricsStore.#fontMetrics.keys()) {
+      if (key.startsWith(prefix)) sizes.add(parseFloat(key.slice(prefix.length)));
+    }
+    if (typeof MetricsBundleStore !== 'undefined') {
+      for (const size of MetricsBundleStore.getSizes(fontFamily, fontStyle, fontWeight)) sizes.add(size);
+    }
+    return [...sizes].sort((a, b) => a - b);
+  }
+
   static clear() {
     FontMetricsStore.#fontMetrics.clear();
+    FontMetricsStore.#version++;
+  }
+
+  static getVersion() {
+    return FontMetricsStore.#version;
   }
 
   static size() {
@@ -14,16 +14,19 @@
 // - Pre-computes storage keys and ID strings for optimal lookup performance
 // - Provides factory methods for creating instances from various inputs
 // - Properties in fixed order: pixelDensity, fontFamily, fontStyle, fontWeight, fontSize
+// - Optional fallbacks: ordered FontProperties that draw the characters this font lacks
+//   (not part of key / idString, which identify this font's own assets)
 //
 // For validation and font assets building utilities, use FontPropertiesFAB.
 class FontProperties {
-  constructor(pixelDensity, fontFamily, fontStyle, fontWeight, fontSize) {
+  constructor(pixelDensity, fontFamily, fontStyle, fontWeight, fontSize, fallbacks = null) {
     // Direct assignment, no validation in core for performance
     this.pixelDensity = pixelDensity || 1;
     this.fontFamily = fontFamily;
     this.fontStyle = fontStyle || 'normal';
     this.fontWeight = fontWeight || 'normal';
     this.fontSize = fontSize;
+    this.fallbacks = fallbacks && fallbacks.length > 0 ? Object.freeze([...fallbacks]) : null;
     
     // Pre-compute storage key (critical for performance optimization)
     // Used for Map lookups in AtlasDataStore
@@ -93,9 +96,18 @@ class FontProperties {
     return `${integerPart}.${decimalPart}`;
   }
   
-  // Equality comparison based on key
+  // Create a new FontProperties for the same font with an ordered fallback chain
+  withFallbacks(fallbacks) {
+    return new FontProperties(this.pixelDensity, this.fontFamily, this.fontStyle, this.fontWeight, this.fontSize, fallbacks);
+  }
+
+  // Equality comparison based on key (and the fallback chain)
   equals(other) {
     if (!(other instanceof FontProperties)) return false;
-    return this._key === other._key;
+    if (this._key !== other._key) return false;
+    const fallbacks = this.fallbacks || [];
+    const otherFallbacks = other.fallbacks || [];
+    return fallbacks.length === otherFallbacks.length &&
+      fallbacks.every((fallback, i) => fallback.equals(otherFallbacks[i]));
   }
 }
\ No newline at end of file
@@ -10,6 +10,7 @@
 
 class MetricsBundleStore {
   static #records = new Map(); // "family:style:weight:size" → minified array
+  static #version = 0;         // Bumped on every change (see FontMetricsStore.getVersion)
 
   static #key(fontFamily, fontStyle, fontWeight, fontSize) {
     return `${fontFamily}:${fontStyle}:${fontWeight}:${fontSize}`;
@@ -20,6 +21,7 @@ class MetricsBundleStore {
       MetricsBundleStore.#key(fontFamily, fontStyle, fontWeight, fontSize),
       minified
     );
+    MetricsBundleStore.#version++;
   }
 
   static getRecord(fontProperties) {
@@ -44,11 +46,26 @@ class MetricsBundleStore {
     );
   }
 
+  // Sizes with a record for (family, style, weight), in insertion order
+  static getSizes(fontFamily, fontStyle, fontWeight) {
+    const prefix = `${fontFamily}:${fontStyle}:${fontWeight}:`;
+    const sizes = [];
+    for (const key of MetricsBundleStore.#records.keys()) {
+      if (key.startsWith(prefix)) sizes.push(parseFloat(key.slice(prefix.length)));
+    }
+    return sizes;
+  }
+
   static size() {
     return MetricsBundleStore.#records.size;
   }
 
   static clear() {
     MetricsBundleStore.#records.clear();
+    MetricsBundleStore.#version++;
+  }
+
+  static getVersion() {
+    return MetricsBundleStore.#version;
   }
 }
@@ -22,7 +22,8 @@ const StatusCode = Object.freeze({
   NO_METRICS: 1,        // No FontMetrics found at all for this font configuration
   PARTIAL_METRICS: 2,   // Some characters missing metrics data
   NO_ATLAS: 3,          // No atlas available (will render placeholder rectangles)
-  PARTIAL_ATLAS: 4      // Some characters missing from atlas (partial placeholders)
+  PARTIAL_ATLAS: 4,     // Some characters missing from atlas (partial placeholders)
+  TRANSFORM_IGNORED: 5  // Context transform not honoured (textProperties.respectTransform), drawn in absolute coordinates
 });
 
 /**
@@ -46,6 +47,65 @@ function createErrorStatus(code, details = {}) {
   });
 }
 
+/**
+ * Severity order used when combining statuses (most severe first)
+ * Complete failures outrank partial successes, which outrank SUCCESS
+ */
+const STATUS_SEVERITY_ORDER = Object.freeze([
+  StatusCode.NO_METRICS,
+  StatusCode.PARTIAL_METRICS,
+  StatusCode.NO_ATLAS,
+  StatusCode.PARTIAL_ATLAS,
+  StatusCode.TRANSFORM_IGNORED
+]);
+
+/**
+ * Helper function to combine several status objects into one aggregate status
+ * Used by APIs that issue one measure/draw per line or per run (e.g. drawTextBlock)
+ * - code: the most severe code among the statuses
+ * - Set details (missingChars, missingAtlasChars) are merged into one Set
+ * - Map details (fallbackChars) are merged key by key, their Set values merged
+ * - Boolean details (placeholdersUsed, transformIgnored, sizeSnapped) are OR-ed
+ * - Other details keep the first value seen
+ * Successful statuses only contribute their details (e.g. fallbackChars)
+ * @param {Object[]} statuses - Status objects to combine
+ * @returns {Object} SUCCESS_STATUS if all statuses succeeded without details, otherwise immutable status object
+ */
+function combineStatuses(statuses) {
+  let code = StatusCode.SUCCESS;
+  let details = null;
+
+  for (const status of statuses) {
+    if (!status || status === SUCCESS_STATUS) continue;
+
+    if (status.code !== StatusCode.SUCCESS && (code === StatusCode.SUCCESS ||
+        STATUS_SEVERITY_ORDER.indexOf(status.code) < STATUS_SEVERITY_ORDER.indexOf(code))) {
+      code = status.code;
+    }
+
+    details = details || {};
+    for (const key of Object.keys(status)) {
+      if (key === 'code') continue;
+      const value = status[key];
+      if (value instanceof Set) {
+        details[key] = new Set([...(details[key] || []), ...value]);
+      } else if (value instanceof Map) {
+        const merged = new Map(details[key] || []);
+        for (const [mapKey, set] of value) {
+          merged.set(mapKey, new Set([...(merged.get(mapKey) || []), ...set]));
+        }
+        details[key] = merged;
+      } else if (typeof value === 'boolean') {
+        details[key] = details[key] || value;
+      } else if (!(key in details) && value !== undefined) {
+        details[key] = value;
+      }
+    }
+  }
+
+  return details === null ? SUCCESS_STATUS : createErrorStatus(code, details);
+}
+
 /**
  * Helper function to check if a status indicates success
  * @param {Object} status - Status object with code property
@@ -70,14 +130,16 @@ function isCompleteFailure(status) {
 
 /**
  * Helper function to check if a status indicates partial success
- * (NO_ATLAS or PARTIAL_ATLAS - can render with placeholders)
+ * (NO_ATLAS or PARTIAL_ATLAS - can render with placeholders;
+ * TRANSFORM_IGNORED - rendered, but in absolute coordinates)
  * @param {Object} status - Status object with code property
  * @returns {boolean} True if status indicates partial success
  */
 function isPartialSuccess(status) {
   return status && (
     status.code === StatusCode.NO_ATLAS ||
-    status.code === StatusCode.PARTIAL_ATLAS
+    status.code === StatusCode.PARTIAL_ATLAS ||
+    status.code === StatusCode.TRANSFORM_IGNORED
   );
 }
 
@@ -92,8 +154,16 @@ function getStatusDescription(status) {
   }
 
   switch (status.code) {
-    case StatusCode.SUCCESS:
-      return 'Success';
+    case StatusCode.SUCCESS: {
+      const notes = [];
+      if (status.sizeSnapped) {
+        notes.push(`size ${status.requestedSize}px not loaded, rendered at ${status.snappedSize}px`);
+      }
+      if (status.fallbackChars) {
+        notes.push(`fallback fonts used for characters: ${[...status.fallbackChars.values()].map(chars => [...chars].join('')).join('')}`);
+      }
+      return notes.length > 0 ? `Success (${notes.join('; ')})` : 'Success';
+    }
     case StatusCode.NO_METRICS:
       if (status.requiresMinSize) {
         return `Font size ${status.requestedSize}px requires size ${status.minSize}px metrics for interpolation. Please load size ${status.minSize}px font assets.`;
@@ -105,6 +175,8 @@ function getStatusDescription(status) {
       return 'No atlas available (using placeholders)';
     case StatusCode.PARTIAL_ATLAS:
       return `Missing atlas data for characters: ${status.missingAtlasChars ? [...status.missingAtlasChars].join('') : 'unknown'} (using placeholders)`;
+    case StatusCode.TRANSFORM_IGNORED:
+      return 'Context transform not honoured (only translations and pixelDensity scales are), drawn in absolute coordinates';
     default:
       return `Unknown status code: ${status.code}`;
   }
@@ -13,33 +13,144 @@
 // - Immutable text configuration object safe to use as Map keys
 // - Pre-computes storage keys for optimal lookup performance
 // - Provides factory methods for creating instances from various inputs
-// - Properties: isKerningEnabled, textBaseline, textAlign, textColor
+// - Properties: isKerningEnabled, textBaseline, textAlign, textColor, maxWidth, overflow,
+//   tabStops, tabWidth, letterSpacing, wordSpacing, respectTransform, rotation, layoutMode, pixelScale,
+//   sizeSnapping, textDecoration, textDecorationColor, textDecorationSkipInk, outlineWidth, outlineColor,
+//   shadowOffsetX, shadowOffsetY, shadowColor, glowRadius, glowColor, opacity
 //
 // This class replaces the global isKerningEnabled variable and consolidates
 // all text rendering properties into a single, immutable configuration object.
 class TextProperties {
+  // textColor callbacks → ids for the key
+  static #callbackIds = new WeakMap();
+  static #nextCallbackId = 1;
+
   constructor(options = {}) {
     // Extract options with defaults - optimized for BitmapText usage
     const {
       isKerningEnabled = true,        // Enable kerning by default for better text rendering
       textBaseline = 'bottom',        // BitmapText uses 'bottom' baseline by architectural design (HTML5 Canvas default is 'alphabetic')
       textAlign = 'left',             // HTML5 Canvas default
-      textColor = '#000000'           // Black color default
+      textColor = '#000000',          // Black color default, or a gradient / per-character fill (see #normalizeTextColor)
+      maxWidth = null,                // Max single-line width in CSS px (null = unlimited)
+      overflow = 'clip',              // What happens beyond maxWidth: 'clip' or 'ellipsis'
+      tabStops = null,                // Explicit tab stops: numbers (CSS px) or {position, align, decimalChar}
+      tabWidth = null,                // Default tab stop interval in CSS px (null = 8 space advances)
+      letterSpacing = 0,              // Extra advance after every character in CSS px (like CSS letter-spacing)
+      wordSpacing = 0,                // Extra advance after every word separator in CSS px (like CSS word-spacing)
+      respectTransform = false,       // Honour the context's translation instead of resetting it (see BitmapText)
+      rotation = 0,                   // Clockwise quarter turns in degrees: 0, 90, 180 or 270
+      layoutMode = 'horizontal',      // 'horizontal' or 'vertical' (characters stacked top to bottom, centred on x)
+      pixelScale = 1,                 // Integer nearest-neighbour upscaling of glyphs and advances (1, 2, 3, ...)
+      sizeSnapping = null,            // Unloaded font size: null (no fallback), or use the 'nearest', 'floor' or 'ceil' loaded size
+      textDecoration = null,          // 'underline', 'line-through' ('strikethrough'), 'overline', several space-separated, or null
+      textDecorationColor = null,     // Color of the decoration lines (null = textColor)
+      textDecorationSkipInk = false,  // Break underlines / overlines where glyphs (e.g. descenders) cross them
+      outlineWidth = 0,               // Outline around the glyphs in CSS px (0 = none)
+      outlineColor = '#000000',       // Outline color
+      shadowOffsetX = 0,              // Drop shadow offset in CSS px (both 0 = no shadow)
+      shadowOffsetY = 0,
+      shadowColor = '#000000',        // Drop shadow color
+      glowRadius = 0,                 // Hard glow around the glyphs (and outline) in CSS px (0 = none)
+      glowColor = '#ffffff',          // Glow color
+      opacity = 1                     // Alpha multiplier for everything drawn (0 to 1, like globalAlpha)
     } = options;
 
     // Direct assignment, no validation in core for performance
     this.isKerningEnabled = isKerningEnabled;
     this.textBaseline = textBaseline;
     this.textAlign = textAlign;
-    this.textColor = textColor;
+    this.textColor = TextProperties.#normalizeTextColor(textColor);
+    this.maxWidth = maxWidth;
+    this.overflow = overflow;
+    this.tabStops = TextProperties.#normalizeTabStops(tabStops);
+    this.tabWidth = tabWidth;
+    this.letterSpacing = letterSpacing;
+    this.wordSpacing = wordSpacing;
+    this.respectTransform = respectTransform;
+    this.rotation = ((rotation % 360) + 360) % 360;  // -90 → 270, 450 → 90
+    this.layoutMode = layoutMode;
+    this.pixelScale = pixelScale;
+    this.sizeSnapping = sizeSnapping;
+    this.textDecoration = TextProperties.#normalizeTextDecoration(textDecoration);
+    this.textDecorationColor = textDecorationColor;
+    this.textDecorationSkipInk = textDecorationSkipInk;
+    this.outlineWidth = outlineWidth;
+    this.outlineColor = outlineColor;
+    this.shadowOffsetX = shadowOffsetX;
+    this.shadowOffsetY = shadowOffsetY;
+    this.shadowColor = shadowColor;
+    this.glowRadius = glowRadius;
+    this.glowColor = glowColor;
+    this.opacity = opacity;
 
     // Pre-compute storage key (for potential caching or Map lookups)
-    this._key = `kerning:${this.isKerningEnabled}:baseline:${this.textBaseline}:align:${this.textAlign}:color:${this.textColor}`;
+    this._key = `kerning:${this.isKerningEnabled}:baseline:${this.textBaseline}:align:${this.textAlign}:color:${TextProperties.#textColorKey(this.textColor)}:maxWidth:${this.maxWidth}:overflow:${this.overflow}` +
+      `:tabStops:${this.tabStops ? JSON.stringify(this.tabStops) : null}:tabWidth:${this.tabWidth}` +
+      `:letterSpacing:${this.letterSpacing}:wordSpacing:${this.wordSpacing}:respectTransform:${this.respectTransform}` +
+      `:rotation:${this.rotation}:layoutMode:${this.layoutMode}:pixelScale:${this.pixelScale}:sizeSnapping:${this.sizeSnapping}` +
+      `:textDecoration:${this.textDecoration ? this.textDecoration.join(' ') : null}:textDecorationColor:${this.textDecorationColor}` +
+      `:textDecorationSkipInk:${this.textDecorationSkipInk}:outline:${this.outlineWidth}:${this.outlineColor}` +
+      `:shadow:${this.shadowOffsetX}:${this.shadowOffsetY}:${this.shadowColor}:glow:${this.glowRadius}:${this.glowColor}` +
+      `:opacity:${this.opacity}`;
 
     // Freeze for immutability (safe to use as Map keys)
     Object.freeze(this);
   }
 
+  // Normalize tab stops to a frozen array of frozen {position, align, decimalChar}
+  // objects sorted by position (bare numbers are left-aligned stops)
+  static #normalizeTabStops(tabStops) {
+    if (!tabStops || tabStops.length === 0) return null;
+    return Object.freeze(tabStops
+      .map(stop => Object.freeze(typeof stop === 'number'
+        ? { position: stop, align: 'left', decimalChar: '.' }
+        : { position: stop.position, align: stop.align || 'left', decimalChar: stop.decimalChar || '.' }))
+      .sort((a, b) => a.position - b.position));
+  }
+
+  // Normalize textColor fills: a linear gradient {angle, stops} becomes a frozen
+  // {type: 'linear-gradient', angle, stops} with {offset, color} stops sorted by offset
+  // (bare color stops are spread evenly, angle defaults to 90 = left to right);
+  // per-character color arrays are frozen copies, strings and callbacks are kept
+  static #normalizeTextColor(textColor) {
+    if (Array.isArray(textColor)) return Object.freeze([...textColor]);
+    if (!textColor || typeof textColor !== 'object') return textColor;
+    const stops = textColor.stops || [];
+    return Object.freeze({
+      type: 'linear-gradient',
+      angle: textColor.angle ?? 90,
+      stops: Object.freeze(stops
+        .map((stop, i) => Object.freeze(typeof stop === 'string'
+          ? { offset: stops.length > 1 ? i / (stops.length - 1) : 0, color: stop }
+          : { offset: stop.offset, color: stop.color }))
+        .sort((a, b) => a.offset - b.offset))
+    });
+  }
+
+  // Key fragment of a textColor (callbacks are told apart by identity)
+  static #textColorKey(textColor) {
+    if (typeof textColor === 'function') {
+      let id = TextProperties.#callbackIds.get(textColor);
+      if (!id) {
+        id = TextProperties.#nextCallbackId++;
+        TextProperties.#callbackIds.set(textColor, id);
+      }
+      return `callback#${id}`;
+    }
+    return textColor && typeof textColor === 'object' ? JSON.stringify(textColor) : textColor;
+  }
+
+  // Normalize text decorations to a frozen array of distinct lines
+  // ('underline', 'line-through', 'overline'), or null for none
+  static #normalizeTextDecoration(textDecoration) {
+    if (!textDecoration || textDecoration === 'none') return null;
+    const lines = (Array.isArray(textDecoration) ? textDecoration : textDecoration.split(/\s+/))
+      .filter(line => line && line !== 'none')
+      .map(line => line === 'strikethrough' ? 'line-through' : line);
+    return lines.length > 0 ? Object.freeze([...new Set(lines)]) : null;
+  }
+
   // Getter for pre-computed storage key
   get key() {
     return this._key;
@@ -72,23 +183,123 @@ class TextProperties {
   // Create a new TextProperties with modified kerning
   withKerningEnabled(isKerningEnabled) {
     return new TextProperties({
-      isKerningEnabled,
-      textBaseline: this.textBaseline,
-      textAlign: this.textAlign,
-      textColor: this.textColor
+      ...this.toObject(),
+      isKerningEnabled
     });
   }
 
   // Create a new TextProperties with modified color
   withTextColor(textColor) {
     return new TextProperties({
-      isKerningEnabled: this.isKerningEnabled,
-      textBaseline: this.textBaseline,
-      textAlign: this.textAlign,
+      ...this.toObject(),
       textColor
     });
   }
 
+  // Create a new TextProperties with modified max width / overflow mode
+  withMaxWidth(maxWidth, overflow = this.overflow) {
+    return new TextProperties({
+      ...this.toObject(),
+      maxWidth,
+      overflow
+    });
+  }
+
+  // Create a new TextProperties with modified tab stops / default tab width
+  withTabStops(tabStops, tabWidth = this.tabWidth) {
+    return new TextProperties({
+      ...this.toObject(),
+      tabStops,
+      tabWidth
+    });
+  }
+
+  // Create a new TextProperties with modified letter / word spacing
+  withSpacing(letterSpacing, wordSpacing = this.wordSpacing) {
+    return new TextProperties({
+      ...this.toObject(),
+      letterSpacing,
+      wordSpacing
+    });
+  }
+
+  // Create a new TextProperties with modified rotation
+  withRotation(rotation) {
+    return new TextProperties({
+      ...this.toObject(),
+      rotation
+    });
+  }
+
+  // Create a new TextProperties with modified layout mode
+  withLayoutMode(layoutMode) {
+    return new TextProperties({
+      ...this.toObject(),
+      layoutMode
+    });
+  }
+
+  // Create a new TextProperties with modified pixel scale
+  withPixelScale(pixelScale) {
+    return new TextProperties({
+      ...this.toObject(),
+      pixelScale
+    });
+  }
+
+  // Create a new TextProperties with modified size snapping policy
+  withSizeSnapping(sizeSnapping) {
+    return new TextProperties({
+      ...this.toObject(),
+      sizeSnapping
+    });
+  }
+
+  // Create a new TextProperties with modified text decoration lines / color
+  withTextDecoration(textDecoration, textDecorationColor = this.textDecorationColor) {
+    return new TextProperties({
+      ...this.toObject(),
+      textDecoration,
+      textDecorationColor
+    });
+  }
+
+  // Create a new TextProperties with modified outline width / color
+  withOutline(outlineWidth, outlineColor = this.outlineColor) {
+    return new TextProperties({
+      ...this.toObject(),
+      outlineWidth,
+      outlineColor
+    });
+  }
+
+  // Create a new TextProperties with modified drop shadow offset / color
+  withShadow(shadowOffsetX, shadowOffsetY, shadowColor = this.shadowColor) {
+    return new TextProperties({
+      ...this.toObject(),
+      shadowOffsetX,
+      shadowOffsetY,
+      shadowColor
+    });
+  }
+
+  // Create a new TextProperties with modified glow radius / color
+  withGlow(glowRadius, glowColor = this.glowColor) {
+    return new TextProperties({
+      ...this.toObject(),
+      glowRadius,
+      glowColor
+    });
+  }
+
+  // Create a new TextProperties with modified opacity
+  withOpacity(opacity) {
+    return new TextProperties({
+      ...this.toObject(),
+      opacity
+    });
+  }
+
   // Equality comparison based on key
   equals(other) {
     if (!(other instanceof TextProperties)) return false;
@@ -101,7 +312,29 @@ class TextProperties {
       isKerningEnabled: this.isKerningEnabled,
       textBaseline: this.textBaseline,
       textAlign: this.textAlign,
-      textColor: this.textColor
+      textColor: this.textColor,
+      maxWidth: this.maxWidth,
+      overflow: this.overflow,
+      tabStops: this.tabStops,
+      tabWidth: this.tabWidth,
+      letterSpacing: this.letterSpacing,
+      wordSpacing: this.wordSpacing,
+      respectTransform: this.respectTransform,
+      rotation: this.rotation,
+      layoutMode: this.layoutMode,
+      pixelScale: this.pixelScale,
+      sizeSnapping: this.sizeSnapping,
+      textDecoration: this.textDecoration,
+      textDecorationColor: this.textDecorationColor,
+      textDecorationSkipInk: this.textDecorationSkipInk,
+      outlineWidth: this.outlineWidth,
+      outlineColor: this.outlineColor,
+      shadowOffsetX: this.shadowOffsetX,
+      shadowOffsetY: this.shadowOffsetY,
+      shadowColor: this.shadowColor,
+      glowRadius: this.glowRadius,
+      glowColor: this.glowColor,
+      opacity: this.opacity
     };
   }
 }
\ No newline at end of file